@@ -9,28 +9,137 @@ export interface TraduxConfig {
     i18nPath: string;
     defaultLanguage: string;
     availableLanguages: string[];
+    /** Set when translations are split into i18n/<lang>/<namespace>.json files. */
+    namespaces?: string[];
+    /** Namespaces loaded up front; the others wait for loadNamespace(). Omit to load all. */
+    preloadNamespaces?: string[];
+    /** Languages to try when a key is missing: a list, a chain per language, or false. */
+    fallbackLanguages?: string[] | Record<string, string[]> | false;
+    /** Prefix strings that come from a fallback language with ⟦lang⟧ (not in production). */
+    markFallbacks?: boolean;
+    /** Carry the language in the URL: /es/about ("prefix") or es.example.com ("subdomain"). */
+    routing?: 'prefix' | 'subdomain' | RoutingConfig;
+}
+
+export interface RoutingConfig {
+    mode: 'prefix' | 'subdomain';
+    /** Also prefix the default language (/en/about). Default false. */
+    prefixDefaultLanguage?: boolean;
+    /** Bare domain for subdomain routing, e.g. "example.com". Derived from the URL if omitted. */
+    domain?: string;
+    /** Origin used for relative paths on the server, e.g. "https://example.com". */
+    origin?: string;
+}
+
+export interface AlternateLink {
+    /** A language code, or "x-default". */
+    hreflang: string;
+    href: string;
 }
 
 /** Recursive type: translation values can be strings or nested objects. */
 export type TranslationValue = string | { [key: string]: TranslationValue };
 
+/** Values passed to an ICU message, e.g. `{ count: 3, name: "Ana" }`. */
+export type MessageValues = Record<string, string | number | Date | null | undefined>;
+
 /**
  * Proxy type that allows both `t.key` (returns string) and
  * `t.section.nested` (returns another proxy for deeper access).
+ * Messages with ICU arguments can be called: `t.cart.items({ count: 3 })`.
  */
 export type TranslationProxy = {
     readonly [key: string]: TranslationProxy;
-} & string;
+} & string & ((values?: MessageValues) => string);
+
+/** A string with ICU arguments: call it with the values, or use it as the raw string. */
+export type Message<Values extends MessageValues = MessageValues> = ((values: Values) => string) & string;
+
+/**
+ * Filled in by the tradux-keys.d.ts that `npx tradux types` generates.
+ * Once that file is part of your project, `t` is typed with your real keys.
+ */
+export interface TraduxTypes {}
+
+/** The type of `t`: your generated keys, or the untyped proxy without them. */
+export type Translations = TraduxTypes extends { translations: infer T } ? T : TranslationProxy;
 
 /** Lazy proxy — safe to import before initTradux() is called. */
-export declare const t: TranslationProxy;
+export declare const t: Translations;
 
 export function onLanguageChange(callback: () => void): void;
+export function onTranslationsLoad(callback: () => void): void;
+/** Browser only: fetches lazy namespaces and merges them into `t`. */
+export function loadNamespace(...namespaces: string[]): Promise<boolean>;
 export function setLanguage(language: string): Promise<boolean>;
-export function getCurrentLanguage(traduxLangCookieValue?: string | null): Promise<string>;
+/**
+ * A request or its headers — a Fetch API Request/Headers, a Node/Express
+ * request, or a plain object — used to read the cookie and Accept-Language.
+ */
+export type RequestLike =
+    | { headers: Headers | Record<string, string | string[] | undefined> }
+    | Headers
+    | Record<string, string | string[] | undefined>;
+
+export function getCurrentLanguage(langOrCookies?: string | RequestLike | null): Promise<string>;
 export function getAvailableLanguages(): LanguageOption[];
-export function initTradux(langOrCookies?: string | null): Promise<{ t: TranslationProxy; currentLanguage: string; setLanguage: (language: string) => Promise<boolean> }>;
+/** Loads raw translations for a language, or only one of its namespaces. */
+export function loadLanguage(language: string, namespace?: string | null): Promise<Record<string, TranslationValue> | null>;
+export function formatMessage(message: string | TranslationProxy, values?: MessageValues, language?: string | null): string;
+export function initTradux(langOrCookies?: string | RequestLike | null): Promise<{ t: Translations; currentLanguage: string; setLanguage: (language: string) => Promise<boolean>; loadNamespace: (...namespaces: string[]) => Promise<boolean>; loadFallbacks: () => Promise<void> }>;
 export const config: Readonly<TraduxConfig>;
+/** Loads tradux.config.json (once) and returns the runtime config. */
+export function getTraduxConfig(): Promise<Readonly<TraduxConfig>>;
+
+export interface ServerCacheStats {
+    /** Files served from memory. */
+    hits: number;
+    /** Files read from disk, including lookups for files that don't exist. */
+    misses: number;
+    /** Lookups answered "not found" from memory, for files in none of the candidate paths. */
+    missingHits: number;
+    /** Files currently cached. */
+    entries: number;
+    /** Files currently known to be missing. */
+    missingEntries: number;
+}
+
+/** Server-side translation cache counters (always zero in the browser). */
+export function getServerCacheStats(): ServerCacheStats;
+
+export interface SerializeStateOptions {
+    /** "script" (default) returns `<script>window.__TRADUX__=...</script>`, "json" just the payload. */
+    format?: 'script' | 'json';
+    /** CSP nonce for the inline script. */
+    nonce?: string;
+}
+
+/**
+ * Serializes a server instance (language, config and loaded translation files)
+ * so the browser's initTradux() can start from it via window.__TRADUX__.
+ */
+/**
+ * The language a path or URL points to (prefix or subdomain), or null. With
+ * routing, unprefixed URLs give defaultLanguage unless `fallback` is false.
+ */
+export function getLanguageFromPath(url: string | URL, options?: { fallback?: boolean }): string | null;
+/** Rewrites a path or URL for another language, keeping query and hash. */
+export function localizePath(path: string | URL, language: string): string;
+/** hreflang entries for every available language plus "x-default". Defaults to the current page. */
+export function getAlternateLinks(url?: string | URL): AlternateLink[];
+
+export interface StaticLocale {
+    lang: string;
+    /** Home page path under the current routing, e.g. "/es/". */
+    path: string;
+}
+
+/** Every language to prerender, with its home page path. */
+export function getStaticLocales(): Promise<StaticLocale[]>;
+/** A fresh instance for prerendering one page, with fallback languages loaded. Throws for unknown languages. */
+export function createStaticInstance(language: string): Promise<{ t: Translations; currentLanguage: string; setLanguage: (language: string) => Promise<boolean>; loadNamespace: (...namespaces: string[]) => Promise<boolean>; loadFallbacks: () => Promise<void> }>;
+
+export function serializeTraduxState(instance: { t: Translations }, options?: SerializeStateOptions): string;
 
 declare module 'tradux/languages' {
     export interface LanguageOption {
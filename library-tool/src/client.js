@@ -13,8 +13,26 @@
  * Translation access uses a Proxy so you can write `t.nav.home` and get either
  * the translated string, a nested proxy for deeper access, or a fallback
  * dot-path string (e.g. "nav.home") if the key is missing.
+ *
+ * Strings that contain ICU MessageFormat arguments (plural, select, number,
+ * date...) are returned as callable formatters: `t.cart.items({ count: 3 })`.
  */
 
+import { createMessage, formatMessage } from "./utils/message-format.js";
+import {
+  getLocaleName,
+  getParentLocales,
+  negotiateLanguage,
+  parseAcceptLanguage,
+} from "./utils/locale.js";
+import {
+  LANGUAGE_COOKIE_PATTERN,
+  getRequestUrl,
+  readRequestHeaders,
+  serializeLanguageCookie,
+} from "./utils/request.js";
+import { stripKeyMarkers } from "./utils/markers.js";
+
 let config = {
   i18nPath: "./i18n",
   defaultLanguage: "en",
@@ -27,6 +45,10 @@ let languageDefinitions = [];
 let configLoaded = false;
 const translationCache = {};
 
+// Set by the tradux/vite plugin's virtual module, which it imports ahead of
+// this file: { config, loaders: { "es.json": () => import(...) }, subscribe }
+const viteRegistry = isBrowser ? (globalThis.__TRADUX_VITE__ ?? null) : null;
+
 function normalizeBrowserBasePath(basePath = "/") {
   if (!basePath || basePath === ".") return "/";
 
@@ -96,6 +118,14 @@ export function onLanguageChange(callback) {
   traduxEvents.addEventListener("change", callback);
 }
 
+/**
+ * Called whenever the browser singleton merges in translations loaded on
+ * demand (lazy namespaces, fallback languages).
+ */
+export function onTranslationsLoad(callback) {
+  traduxEvents.addEventListener("load", callback);
+}
+
 // --- Config & Language Loading ---
 
 async function loadLanguageDefinitions() {
@@ -108,12 +138,15 @@ async function loadLanguageDefinitions() {
 
 /**
  * Loads tradux.config.json from the project root.
- * Browser: fetches it as a module from the web server root.
+ * Browser: fetches it as a module from the web server root (or takes it
+ * from the Vite plugin).
  * Server: reads it from the filesystem via process.cwd().
  */
 async function loadConfig() {
   try {
-    if (isBrowser) {
+    if (viteRegistry) {
+      config = { ...config, ...viteRegistry.config };
+    } else if (isBrowser) {
       const configJson = await fetchFirstJson(
         getBrowserAssetCandidates("tradux.config.json"),
       );
@@ -134,64 +167,229 @@ async function loadConfig() {
   configLoaded = true;
 }
 
+async function ensureConfigLoaded() {
+  if (!configLoaded) {
+    await loadConfig();
+    await loadLanguageDefinitions();
+  }
+}
+
+// --- Server Translation Cache ---
+// Parsed files are kept in memory, keyed by their resolved path. In
+// development an fs.watch() per file drops the entry as soon as it changes;
+// in production (or where watching isn't available) a stat() compares mtimes.
+
+// Files that exist in none of the candidate paths are remembered too, so
+// a language without a given namespace doesn't cost a round of failed reads
+// per request. Those entries watch (or compare the mtimes of) the candidate
+// directories instead, which change when the file shows up.
+
+const serverCache = new Map(); // absolute path → { data, mtimeMs, watcher }
+const resolvedPaths = new Map(); // "es/common.json" → absolute path
+const missingFiles = new Map(); // "fr/admin.json" → { dirs, mtimes, watchers }
+const serverCacheStats = { hits: 0, misses: 0, missingHits: 0 };
+
+function invalidateServerCache(filePath) {
+  serverCache.get(filePath)?.watcher?.close();
+  serverCache.delete(filePath);
+}
+
+function forgetMissingFile(file) {
+  missingFiles.get(file)?.watchers?.forEach((watcher) => watcher.close());
+  missingFiles.delete(file);
+}
+
+async function watchPath(target, onChange) {
+  try {
+    const { watch } = await import("fs");
+    const watcher = watch(target, { persistent: false }, onChange);
+    watcher.on("error", onChange);
+    return watcher;
+  } catch {
+    return null;
+  }
+}
+
+/** mtimeMs of each directory, or null for the ones that don't exist. */
+async function statDirectories(dirs) {
+  const { stat } = await import("fs/promises");
+  return Promise.all(
+    dirs.map((dir) =>
+      stat(dir).then(
+        ({ mtimeMs }) => mtimeMs,
+        () => null,
+      ),
+    ),
+  );
+}
+
+/** Reads and parses a file through the cache. Throws if it can't be read. */
+async function readCachedFile(filePath) {
+  const { readFile, stat } = await import("fs/promises");
+
+  const entry = serverCache.get(filePath);
+  if (entry) {
+    let fresh = Boolean(entry.watcher);
+    if (!fresh) {
+      try {
+        fresh = (await stat(filePath)).mtimeMs === entry.mtimeMs;
+      } catch {}
+    }
+    if (fresh) {
+      serverCacheStats.hits++;
+      return entry.data;
+    }
+    invalidateServerCache(filePath);
+  }
+
+  const [{ mtimeMs }, raw] = await Promise.all([
+    stat(filePath),
+    readFile(filePath, "utf8"),
+  ]);
+  const data = stripKeyMarkers(JSON.parse(raw));
+  const watcher = isProduction()
+    ? null
+    : await watchPath(filePath, () => invalidateServerCache(filePath));
+  serverCache.set(filePath, { data, mtimeMs, watcher });
+  serverCacheStats.misses++;
+  return data;
+}
+
+/** Remembers that `file` is in none of `candidates`. */
+async function rememberMissingFile(file, candidates) {
+  const { dirname } = await import("path");
+  const dirs = [...new Set(candidates.map((candidate) => dirname(candidate)))];
+  const mtimes = await statDirectories(dirs);
+
+  // Directories that don't exist yet can't be watched, so their mtimes are
+  // still checked on every lookup
+  let watchers = null;
+  if (!isProduction()) {
+    watchers = await Promise.all(
+      dirs
+        .filter((dir, i) => mtimes[i] !== null)
+        .map((dir) => watchPath(dir, () => forgetMissingFile(file))),
+    );
+    if (watchers.includes(null)) {
+      watchers.forEach((watcher) => watcher?.close());
+      watchers = null;
+    }
+  }
+  missingFiles.set(file, { dirs, mtimes, watchers });
+}
+
+/** True if `file` is known to be missing and none of its directories changed. */
+async function isKnownMissing(file) {
+  const entry = missingFiles.get(file);
+  if (!entry) return false;
+
+  const indexes = [...entry.dirs.keys()].filter(
+    (i) => !entry.watchers || entry.mtimes[i] === null,
+  );
+  const mtimes = await statDirectories(indexes.map((i) => entry.dirs[i]));
+  if (mtimes.every((mtime, j) => mtime === entry.mtimes[indexes[j]])) {
+    return true;
+  }
+  forgetMissingFile(file);
+  return false;
+}
+
 /**
- * Loads a language JSON file and caches the result.
- * Browser: fetches from the public directory via HTTP.
- * Server: tries multiple common directory layouts (public/i18n, src/i18n, etc.)
- * to be compatible with different project structures.
+ * Where a translation file may live on the server, most specific first, to
+ * be compatible with different project structures (public/i18n, src/i18n...).
  */
-async function loadLanguage(lang) {
-  if (isBrowser && translationCache[lang]) {
-    return translationCache[lang];
+async function getServerCandidates(file) {
+  const { join } = await import("path");
+  const i18nPath = config.i18nPath.replace(/^\.\//, "");
+  return [
+    join(process.cwd(), "public", i18nPath, file),
+    join(process.cwd(), i18nPath, file),
+    join(process.cwd(), "src", i18nPath, file),
+    join(process.cwd(), "public", "i18n", file),
+    join(process.cwd(), "i18n", file),
+  ];
+}
+
+/**
+ * Server cache counters: `hits` were served from memory, `misses` went to
+ * disk (including lookups for files that don't exist), and `missingHits`
+ * were answered "not found" from memory. `missingEntries` counts the files
+ * currently known to be missing.
+ */
+export function getServerCacheStats() {
+  return {
+    hits: serverCacheStats.hits,
+    misses: serverCacheStats.misses,
+    missingHits: serverCacheStats.missingHits,
+    entries: serverCache.size,
+    missingEntries: missingFiles.size,
+  };
+}
+
+/**
+ * Loads one translation file (e.g. "es.json" or "es/common.json", relative
+ * to i18nPath) and caches the result. Key markers are stripped on load, so
+ * the source language reads like the generated ones ("===brand" → "brand").
+ * Browser: fetches from the public directory via HTTP, or imports the
+ * bundled chunk with the Vite plugin.
+ * Server: finds the file among the candidate paths once, then serves it
+ * from the server cache.
+ */
+async function loadTranslationFile(file) {
+  if (isBrowser && file in translationCache) {
+    return translationCache[file];
   }
 
   try {
     let result = null;
 
-    if (isBrowser) {
+    if (viteRegistry) {
+      const loader = viteRegistry.loaders[file];
+      result = loader ? (await loader()).default : null;
+    } else if (isBrowser) {
       const path = config.i18nPath
         .replace(/^\.\//, "")
         .replace(/^public\//, "");
       result = await fetchFirstJson(
-        getBrowserAssetCandidates(`${path}/${lang}.json`),
+        getBrowserAssetCandidates(`${path}/${file}`),
       );
     } else {
-      const { readFile } = await import("fs/promises");
-      const { join } = await import("path");
+      const knownPath = resolvedPaths.get(file);
+      if (knownPath) {
+        try {
+          return await readCachedFile(knownPath);
+        } catch {
+          // Moved or deleted: look it up again
+          resolvedPaths.delete(file);
+        }
+      }
+
+      if (await isKnownMissing(file)) {
+        serverCacheStats.missingHits++;
+        return null;
+      }
 
-      const possiblePaths = [
-        join(
-          process.cwd(),
-          "public",
-          config.i18nPath.replace(/^\.\//, ""),
-          `${lang}.json`,
-        ),
-        join(
-          process.cwd(),
-          config.i18nPath.replace(/^\.\//, ""),
-          `${lang}.json`,
-        ),
-        join(
-          process.cwd(),
-          "src",
-          config.i18nPath.replace(/^\.\//, ""),
-          `${lang}.json`,
-        ),
-        join(process.cwd(), "public", "i18n", `${lang}.json`),
-        join(process.cwd(), "i18n", `${lang}.json`),
-      ];
-
-      for (const filePath of possiblePaths) {
+      const candidates = await getServerCandidates(file);
+      let isMissing = true;
+      for (const filePath of candidates) {
         try {
-          const data = await readFile(filePath, "utf8");
-          result = JSON.parse(data);
+          result = await readCachedFile(filePath);
+          resolvedPaths.set(file, filePath);
           break;
-        } catch {}
+        } catch (error) {
+          // An unreadable or invalid file is retried on the next request
+          if (error.code !== "ENOENT") isMissing = false;
+        }
+      }
+      if (!result) {
+        serverCacheStats.misses++;
+        if (isMissing) await rememberMissingFile(file, candidates);
       }
     }
 
     if (result && isBrowser) {
-      translationCache[lang] = result;
+      result = stripKeyMarkers(result);
+      translationCache[file] = result;
     }
     return result;
   } catch {
@@ -199,20 +397,148 @@ async function loadLanguage(lang) {
   }
 }
 
+/** Namespaces from the config, or null for the one-file-per-language layout. */
+function getNamespaces() {
+  return Array.isArray(config.namespaces) && config.namespaces.length > 0
+    ? config.namespaces
+    : null;
+}
+
+/**
+ * Namespaces to load up front (config.preloadNamespaces), or null to load
+ * them all. The rest are fetched on demand with loadNamespace().
+ */
+function getPreloadNamespaces() {
+  const namespaces = getNamespaces();
+  if (!namespaces || !Array.isArray(config.preloadNamespaces)) return null;
+  return config.preloadNamespaces.filter((ns) => namespaces.includes(ns));
+}
+
+/**
+ * Languages to try, in order, when a key is missing in `lang`. By default a
+ * regional language falls back to its parent locales, then to the default
+ * language (pt-BR → pt → en, zh-Hant-TW → zh-Hant → zh → en). config.fallbackLanguages can replace the
+ * default tail (["es", "en"]), set a chain per language
+ * ({ "pt-BR": ["pt-PT", "en"] }), or be false to disable fallbacks.
+ * Languages not in availableLanguages are skipped.
+ */
+function getFallbackChain(lang) {
+  const configured = config.fallbackLanguages;
+  if (configured === false || !lang) return [];
+
+  let chain;
+  if (
+    configured &&
+    typeof configured === "object" &&
+    !Array.isArray(configured) &&
+    Array.isArray(configured[lang])
+  ) {
+    chain = configured[lang];
+  } else {
+    chain = [
+      ...getParentLocales(lang),
+      ...(Array.isArray(configured) ? configured : [config.defaultLanguage]),
+    ];
+  }
+
+  const available = config.availableLanguages || [];
+  return [...new Set(chain)].filter(
+    (fallback) =>
+      fallback &&
+      fallback !== lang &&
+      (available.length === 0 || available.includes(fallback)),
+  );
+}
+
+/** True in a production build (Vite's import.meta.env.PROD or NODE_ENV). */
+function isProduction() {
+  try {
+    if (import.meta.env?.PROD) return true;
+  } catch {}
+  return (
+    typeof process !== "undefined" && process.env?.NODE_ENV === "production"
+  );
+}
+
+/**
+ * True when fallback strings should be visibly marked: config.markFallbacks
+ * is set and this isn't a production build.
+ */
+function shouldMarkFallbacks() {
+  return Boolean(config.markFallbacks) && !isProduction();
+}
+
+/** Reads the value at `pathArray` inside `data`, or undefined. */
+function getPathValue(data, pathArray) {
+  let value = data;
+  for (const key of pathArray) {
+    if (value && typeof value === "object") value = value[key];
+    else return undefined;
+  }
+  return value;
+}
+
+/**
+ * Loads the given namespaces of a language into { [namespace]: data },
+ * skipping the ones that don't exist. Returns null if none could be loaded.
+ */
+async function readNamespaces(lang, namespaces, load = loadTranslationFile) {
+  if (namespaces.length === 0) return {};
+
+  const entries = await Promise.all(
+    namespaces.map(async (ns) => [ns, await load(`${lang}/${ns}.json`)]),
+  );
+  const loaded = entries.filter(([, data]) => data);
+  return loaded.length > 0 ? Object.fromEntries(loaded) : null;
+}
+
+/**
+ * Loads a language's translations. With the namespaced layout
+ * (i18n/es/common.json, i18n/es/checkout.json) every namespace is loaded
+ * into { common: {...}, checkout: {...} }, or just one when `namespace` is
+ * given. With one file per language, `namespace` selects a top-level key.
+ * `load` reads one file; instances pass their own to record what they used.
+ */
+async function readLanguage(
+  lang,
+  namespace = null,
+  load = loadTranslationFile,
+) {
+  const namespaces = getNamespaces();
+
+  if (!namespaces) {
+    const data = await load(`${lang}.json`);
+    return namespace ? (data?.[namespace] ?? null) : data;
+  }
+  if (namespace) return load(`${lang}/${namespace}.json`);
+
+  return readNamespaces(lang, namespaces, load);
+}
+
+/**
+ * Loads the raw translations of a language (or one of its namespaces)
+ * without creating an instance. Returns null if nothing could be loaded.
+ */
+export async function loadLanguage(lang, namespace = null) {
+  await ensureConfigLoaded();
+  return readLanguage(lang, namespace);
+}
+
 // --- Cookie helpers ---
 // The "tradux_lang" cookie persists the user's language choice across page loads.
 
+/** The language stored in the cookie, or null if there is none. */
 function getLanguageFromCookie(cookieValue = "") {
   try {
     if (isBrowser) {
-      const match = document.cookie.match(/(?:^|;\s*)tradux_lang=([^;]+)/);
-      return match ? decodeURIComponent(match[1]) : config.defaultLanguage;
+      const match = document.cookie.match(LANGUAGE_COOKIE_PATTERN);
+      return match ? decodeURIComponent(match[1]) : null;
     }
     if (cookieValue) {
       return decodeURIComponent(cookieValue);
     }
   } catch {}
-  return config.defaultLanguage;
+  return null;
 }
 
 function setLanguageCookie(lang) {
@@ -222,19 +548,175 @@ function setLanguageCookie(lang) {
   }
 }
 
+// --- Language negotiation ---
+// First-time visitors have no cookie yet: their browser's language list
+// (navigator.languages, or the Accept-Language header on the server) is
+// matched against availableLanguages instead.
+
 /**
- * Resolves the active language: reads from cookie, then validates
- * against availableLanguages. Falls back to defaultLanguage if invalid.
+ * Maps tags onto availableLanguages, ignoring case ("pt-br" → "pt-BR") and
+ * matching regions to their base language ("pt-BR" → "pt") and back.
+ * Returns null if none match.
  */
-function getLanguageFromConfig(traduxCookie = "") {
-  const lang = getLanguageFromCookie(traduxCookie);
-  if (
-    config.availableLanguages.length &&
-    !config.availableLanguages.includes(lang)
-  ) {
-    return config.defaultLanguage;
+function matchAvailableLanguage(...preferred) {
+  const available = config.availableLanguages;
+  if (!available.length) return preferred.find(Boolean) || null;
+  return negotiateLanguage(preferred.filter(Boolean), available);
+}
+
+/** The visitor's preferred languages, most preferred first. */
+function getPreferredLanguages(acceptLanguage = "") {
+  if (isBrowser) {
+    const { languages, language } = window.navigator || {};
+    return languages?.length ? [...languages] : [language].filter(Boolean);
+  }
+  return parseAcceptLanguage(acceptLanguage);
+}
+
+/**
+ * Resolves the active language: the cookie if it matches availableLanguages,
+ * then the best match for the visitor's preferred languages, then
+ * defaultLanguage.
+ */
+function getLanguageFromConfig(traduxCookie = "", acceptLanguage = "") {
+  return (
+    matchAvailableLanguage(getLanguageFromCookie(traduxCookie)) ??
+    (config.availableLanguages.length
+      ? matchAvailableLanguage(...getPreferredLanguages(acceptLanguage))
+      : null) ??
+    config.defaultLanguage
+  );
+}
+
+// --- URL Routing ---
+// With config.routing the URL carries the language instead of the cookie:
+// "prefix" → /es/about, "subdomain" → es.example.com. The default language
+// stays unprefixed (/about) unless routing.prefixDefaultLanguage is set.
+
+/**
+ * Normalized config.routing: { mode, prefixDefaultLanguage, domain?, origin? },
+ * or null when routing is off. `domain` is the bare domain for subdomain
+ * mode (derived from the URL if omitted); `origin` makes getAlternateLinks()
+ * absolute on the server.
+ */
+function getRouting() {
+  const routing = config.routing;
+  if (!routing) return null;
+  const options = typeof routing === "string" ? { mode: routing } : routing;
+  if (options.mode !== "prefix" && options.mode !== "subdomain") return null;
+  return { prefixDefaultLanguage: false, ...options };
+}
+
+/** The available language spelled like `code`, ignoring case; no region matching. */
+function findLanguageCode(code) {
+  if (!code) return null;
+  const lower = code.toLowerCase();
+  return (
+    (config.availableLanguages || []).find(
+      (lang) => lang.toLowerCase() === lower,
+    ) ?? null
+  );
+}
+
+/** Parses a path or URL against the current page (browser) or routing.origin. */
+function toURL(url) {
+  const base = isBrowser
+    ? window.location.href
+    : (getRouting()?.origin ?? "http://localhost");
+  return new URL(url instanceof URL ? url.href : String(url), base);
+}
+
+const isAbsoluteUrl = (url) =>
+  url instanceof URL || /^([a-z][a-z\d+.-]*:)?\/\//i.test(String(url));
+
+/** Bare domain for subdomain routing: "es.example.com" → "example.com". */
+function getBaseDomain(hostname, routing) {
+  if (routing.domain) return routing.domain;
+  const [first, ...rest] = hostname.split(".");
+  return rest.length > 1 && findLanguageCode(first) ? rest.join(".") : hostname;
+}
+
+/**
+ * The language a URL or path points to: its path prefix ("/pt-BR/about"), or
+ * its subdomain with routing: "subdomain". URLs without one belong to the
+ * default language in routing mode (unless prefixDefaultLanguage is set, or
+ * `fallback` is false); otherwise this returns null.
+ */
+export function getLanguageFromPath(url, { fallback = true } = {}) {
+  const routing = getRouting();
+  let parsed;
+  try {
+    parsed = toURL(url);
+  } catch {
+    return null;
   }
-  return lang;
+
+  let match;
+  if (routing?.mode === "subdomain") {
+    // The bare domain (example.com) has no language label
+    const isBare = getBaseDomain(parsed.hostname, routing) === parsed.hostname;
+    match = isBare ? null : findLanguageCode(parsed.hostname.split(".")[0]);
+  } else {
+    match = findLanguageCode(parsed.pathname.split("/")[1]);
+  }
+
+  if (match) return match;
+  return fallback && routing && !routing.prefixDefaultLanguage
+    ? config.defaultLanguage
+    : null;
+}
+
+/**
+ * Rewrites a path or URL for another language: localizePath("/es/about", "fr")
+ * → "/fr/about", and "/about" for the default language. Query and hash are
+ * kept. Relative input gives a relative result, except in subdomain mode,
+ * where the host changes and the result is always absolute.
+ */
+export function localizePath(path, lang) {
+  const routing = getRouting() ?? { mode: "prefix" };
+  const code = findLanguageCode(lang) ?? lang;
+  const url = toURL(path);
+  const prefixed =
+    routing.prefixDefaultLanguage || code !== config.defaultLanguage;
+
+  if (routing.mode === "subdomain") {
+    const domain = getBaseDomain(url.hostname, routing);
+    url.hostname = prefixed ? `${code.toLowerCase()}.${domain}` : domain;
+    return url.href;
+  }
+
+  const segments = url.pathname.split("/");
+  if (findLanguageCode(segments[1])) segments.splice(1, 1);
+  if (prefixed) segments.splice(1, 0, code);
+  url.pathname = segments.join("/") || "/";
+
+  return isAbsoluteUrl(path) ? url.href : url.pathname + url.search + url.hash;
+}
+
+/**
+ * hreflang entries for every available language plus "x-default", for
+ * <link rel="alternate"> tags or a sitemap:
+ *   [{ hreflang: "es", href: "https://example.com/es/about" }, ...]
+ * Defaults to the current page in the browser. On the server pass the
+ * request URL (or set routing.origin) so the links are absolute.
+ */
+export function getAlternateLinks(
+  url = isBrowser ? window.location.href : "/",
+) {
+  const origin =
+    getRouting()?.origin ?? (isBrowser ? window.location.origin : null);
+  const toHref = (lang) => {
+    const localized = localizePath(url, lang);
+    return origin ? new URL(localized, origin).href : localized;
+  };
+
+  return [
+    ...(config.availableLanguages || []).map((lang) => ({
+      hreflang: lang,
+      href: toHref(lang),
+    })),
+    { hreflang: "x-default", href: toHref(config.defaultLanguage) },
+  ];
 }
 
 // --- Translation Instance Factory ---
@@ -272,43 +754,310 @@ function isInternalProperty(prop) {
   return false;
 }
 
+// --- SSR State Transfer ---
+// serializeTraduxState() embeds what a server instance loaded into the page
+// as window.__TRADUX__. The browser seeds its config and translation cache
+// from it before anything is fetched, so hydration needs no requests and
+// starts in the language the server rendered.
+
+const INSTANCE_STATE = Symbol("tradux.state");
+let hydrationApplied = false;
+
+// The config keys the runtime reads. The rest of tradux.config.json
+// (translation providers, workerUrl, glossary) never goes into the page.
+const RUNTIME_CONFIG_KEYS = [
+  "i18nPath",
+  "defaultLanguage",
+  "availableLanguages",
+  "namespaces",
+  "preloadNamespaces",
+  "fallbackLanguages",
+  "markFallbacks",
+  "routing",
+];
+
+const pickRuntimeConfig = (source) =>
+  Object.fromEntries(
+    RUNTIME_CONFIG_KEYS.filter((key) => source[key] !== undefined).map(
+      (key) => [key, source[key]],
+    ),
+  );
+
+/**
+ * Applies window.__TRADUX__ once (browser only). Returns the language the
+ * server rendered with, or null when there is no state to apply.
+ */
+function applyHydrationState() {
+  if (!isBrowser || hydrationApplied) return null;
+  hydrationApplied = true;
+
+  const state = window.__TRADUX__;
+  if (!state || typeof state !== "object") return null;
+
+  if (state.config) {
+    config = { ...config, ...state.config };
+    configLoaded = true;
+  }
+  Object.assign(translationCache, state.files);
+  return typeof state.language === "string" ? state.language : null;
+}
+
+// JSON inside <script> must not be able to close the tag
+const escapeScriptJson = (json) =>
+  json
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+
+/**
+ * Serializes a server instance (from initTradux or createTraduxFromRequest)
+ * for the browser: its language, the runtime part of the config (see
+ * RUNTIME_CONFIG_KEYS) and the translation files it loaded. Returns an inline `<script>` that sets window.__TRADUX__,
+ * or with { format: "json" } just the JSON payload. Call it after rendering
+ * so lazily loaded namespaces and fallbacks are included.
+ */
+export function serializeTraduxState(instance, options = {}) {
+  const { format = "script", nonce } = options;
+  const getState = instance?.[INSTANCE_STATE];
+  if (typeof getState !== "function") {
+    throw new Error(
+      "serializeTraduxState() expects an instance from initTradux()",
+    );
+  }
+
+  const json = escapeScriptJson(JSON.stringify(getState()));
+  if (format === "json") return json;
+
+  const nonceAttr = nonce
+    ? ` nonce="${String(nonce).replace(/"/g, "&quot;")}"`
+    : "";
+  return `<script${nonceAttr}>window.__TRADUX__=${json}</script>`;
+}
+
 /**
  * Creates an isolated Tradux instance with its own translations and language.
  * On the server, each SSR request should get its own instance so users
  * don't share language state. On the browser, a single instance is reused.
  */
 async function createInstance(langOrCookies = null) {
-  if (!configLoaded) {
-    await loadConfig();
-    await loadLanguageDefinitions();
-  }
+  const hydratedLanguage = applyHydrationState();
+  await ensureConfigLoaded();
 
   let targetLang;
 
   if (isBrowser) {
-    targetLang = langOrCookies || getLanguageFromConfig();
+    // The language the server rendered with wins, so hydration matches
+    targetLang =
+      langOrCookies ||
+      hydratedLanguage ||
+      (getRouting() && getLanguageFromPath(window.location.href)) ||
+      getLanguageFromConfig();
+  } else if (langOrCookies && typeof langOrCookies === "object") {
+    // A request or headers object: the URL in routing mode, then the
+    // cookie, then Accept-Language
+    const { traduxCookie, acceptLanguage } = readRequestHeaders(langOrCookies);
+    const requestUrl = getRouting() ? getRequestUrl(langOrCookies) : null;
+    targetLang =
+      (requestUrl && getLanguageFromPath(requestUrl)) ||
+      getLanguageFromConfig(traduxCookie, acceptLanguage);
   } else {
     const traduxCookie = typeof langOrCookies === "string" ? langOrCookies : "";
     targetLang = getLanguageFromConfig(traduxCookie);
   }
 
+  // Every file this instance reads, for serializeTraduxState(); null marks
+  // a file that doesn't exist, so the browser won't request it either
+  const files = {};
+  const loadFile = async (file) => {
+    const data = await loadTranslationFile(file);
+    files[file] = data;
+    return data;
+  };
+  const readLang = (lang, namespace = null) =>
+    readLanguage(lang, namespace, loadFile);
+
+  // With preloadNamespaces, only those are loaded now; loadNamespace() adds the rest
+  const preload = getPreloadNamespaces();
+  const read = (lang) =>
+    preload ? readNamespaces(lang, preload, loadFile) : readLang(lang);
+
   // Fall back to English, then to an empty object if nothing loads
-  let translations =
-    (await loadLanguage(targetLang)) || (await loadLanguage("en")) || {};
+  let translations = (await read(targetLang)) || (await read("en")) || {};
+
+  // --- Lazy namespaces ---
+  // loadedNamespaces: merged into `translations`; pendingNamespaces: ns → load promise
+  const loadedNamespaces = new Set(preload ? Object.keys(translations) : []);
+  const pendingNamespaces = new Map();
+
+  const isLazyNamespace = (ns) =>
+    preload !== null && getNamespaces().includes(ns);
+
+  async function fetchNamespace(ns) {
+    const lang = targetLang;
+    // Without its own file the namespace stays empty and keys resolve
+    // through the fallback chain; with no chain, English is used as a whole
+    const data =
+      (await readLang(lang, ns)) ||
+      (getFallbackChain(lang).length > 0 ? {} : null) ||
+      (await readLang("en", ns));
+    pendingNamespaces.delete(ns);
+
+    // setLanguage() ran meanwhile and loaded this namespace for the new language
+    if (lang !== targetLang) return loadedNamespaces.has(ns);
+    if (!data) return false;
+
+    translations = { ...translations, [ns]: data };
+    loadedNamespaces.add(ns);
+    if (isBrowser) traduxEvents.dispatchEvent(new Event("load"));
+    return true;
+  }
+
+  /**
+   * Fetches namespaces that weren't preloaded and merges them into `t`.
+   * Resolves to true once all of them are available. Without
+   * preloadNamespaces everything is already loaded, so this resolves at once.
+   */
+  async function loadNamespace(...namespaces) {
+    const results = await Promise.all(
+      namespaces.map((ns) => {
+        if (!isLazyNamespace(ns)) return getNamespaces()?.includes(ns) ?? true;
+        if (loadedNamespaces.has(ns)) return true;
+        if (!pendingNamespaces.has(ns)) {
+          pendingNamespaces.set(ns, fetchNamespace(ns));
+        }
+        return pendingNamespaces.get(ns);
+      }),
+    );
+    return results.every(Boolean);
+  }
+
+  // --- Fallback chain ---
+  // Keys missing in the current language are looked up in the fallback
+  // languages. Their files are only loaded on the first miss, per scope: a
+  // namespace in the namespaced layout, or the whole file ("*") otherwise.
+  // fallbackData: scope → [{ lang, data }] in chain order
+  const fallbackData = new Map();
+  const pendingFallbacks = new Map();
+
+  const scopeOf = (pathArray) => (getNamespaces() ? pathArray[0] : "*");
+
+  function loadFallbackScope(scope) {
+    if (fallbackData.has(scope)) return Promise.resolve();
+    if (pendingFallbacks.has(scope)) return pendingFallbacks.get(scope);
+
+    const lang = targetLang;
+    const promise = Promise.all(
+      getFallbackChain(lang).map(async (fallback) => ({
+        lang: fallback,
+        data:
+          scope === "*"
+            ? await readLang(fallback)
+            : await readLang(fallback, scope),
+      })),
+    ).then((entries) => {
+      pendingFallbacks.delete(scope);
+      // setLanguage() ran meanwhile — the chain belongs to the old language
+      if (lang !== targetLang) return;
+      fallbackData.set(
+        scope,
+        entries.filter(({ data }) => data),
+      );
+      if (isBrowser) traduxEvents.dispatchEvent(new Event("load"));
+    });
+    pendingFallbacks.set(scope, promise);
+    return promise;
+  }
+
+  /**
+   * Loads the fallback languages for everything loaded so far. Optional —
+   * misses load them on demand — but on the server, awaiting this before
+   * rendering makes fallback strings show up in the first render.
+   */
+  async function loadFallbacks() {
+    const scopes = getNamespaces()
+      ? getNamespaces().filter(
+          (ns) => !isLazyNamespace(ns) || loadedNamespaces.has(ns),
+        )
+      : ["*"];
+    await Promise.all(scopes.map(loadFallbackScope));
+  }
+
+  /** Finds a missing key in the fallback chain: { value, lang } or null. */
+  function resolveFallback(pathArray) {
+    if (getFallbackChain(targetLang).length === 0) return null;
+
+    const scope = scopeOf(pathArray);
+    if (getNamespaces() && !getNamespaces().includes(scope)) return null;
+    // The namespace itself isn't loaded yet — nothing to fall back from
+    if (isLazyNamespace(scope) && !loadedNamespaces.has(scope)) return null;
+
+    const entries = fallbackData.get(scope);
+    if (!entries) {
+      loadFallbackScope(scope);
+      return null;
+    }
+
+    const scopedPath = scope === "*" ? pathArray : pathArray.slice(1);
+    for (const { lang, data } of entries) {
+      const value = getPathValue(data, scopedPath);
+      if (value !== undefined) return { value, lang };
+    }
+    return null;
+  }
+
+  /**
+   * Warns about a missing key — unless its namespace or fallback languages
+   * are still loading, in which case the warning waits until they've settled.
+   */
+  function warnMissing(pathArray) {
+    const [ns] = pathArray;
+    const pending =
+      pendingNamespaces.get(ns) ?? pendingFallbacks.get(scopeOf(pathArray));
+    if (pending) {
+      pending.then(() => {
+        if (resolvePathValue(pathArray) === undefined) warnMissing(pathArray);
+      });
+      return;
+    }
+
+    const hint =
+      isLazyNamespace(ns) && !loadedNamespaces.has(ns)
+        ? ` (namespace "${ns}" is not loaded, call loadNamespace("${ns}"))`
+        : "";
+    console.warn(
+      `Tradux: Translation missing for key: "${pathArray.join(".")}"${hint}`,
+    );
+  }
 
   /**
    * Recursive Proxy that allows `t.nav.home` style access.
-   * - If the key resolves to a string, returns it directly.
+   * - If the key resolves to a plain string, returns it directly.
+   * - If the string has ICU arguments, returns a formatter bound to the current language.
    * - If it resolves to a nested object, returns another proxy.
-   * - If the key is missing, logs a warning and returns the dot-path as a string fallback.
+   * - If the key is missing, it is resolved through the fallback chain
+   *   (pt-BR → pt → en); if no language has it, logs a warning and returns "".
+   * - A namespace that isn't loaded (yet) resolves to an empty proxy, so
+   *   `t.checkout.pay` renders "" until loadNamespace("checkout") or its
+   *   fallback languages settle.
    */
+  function resolveEntry(pathArray) {
+    const value = getPathValue(translations, pathArray);
+    if (value !== undefined) return { value, lang: targetLang };
+    return resolveFallback(pathArray) ?? { value: undefined, lang: targetLang };
+  }
+
   function resolvePathValue(pathArray) {
-    let value = translations;
-    for (const key of pathArray) {
-      if (value && typeof value === "object") value = value[key];
-      else return undefined;
-    }
-    return value;
+    return resolveEntry(pathArray).value;
+  }
+
+  function resolveMessage(value, lang = targetLang) {
+    if (typeof value !== "string") return value;
+    // Dev aid: markFallbacks shows which strings come from another language
+    const text =
+      lang !== targetLang && shouldMarkFallbacks()
+        ? `⟦${lang}⟧ ${value}`
+        : value;
+    return createMessage(text, lang);
   }
 
   function createTranslationProxy(pathArray = []) {
@@ -319,27 +1068,32 @@ async function createInstance(langOrCookies = null) {
           if (isInternalProperty(prop)) return undefined;
 
           const currentPath = [...pathArray, prop];
-          const value = resolvePathValue(currentPath);
+          const { value, lang } = resolveEntry(currentPath);
+
+          if (
+            value === undefined &&
+            pathArray.length === 0 &&
+            getNamespaces()?.includes(prop)
+          ) {
+            return createTranslationProxy(currentPath);
+          }
 
           if (value !== undefined) {
             if (Array.isArray(value)) {
               return value.map((item, i) =>
                 item && typeof item === "object"
                   ? createTranslationProxy([...currentPath, i])
-                  : item,
+                  : resolveMessage(item, lang),
               );
             }
             if (typeof value === "object" && value !== null) {
               return createTranslationProxy(currentPath);
             }
-            return value;
+            return resolveMessage(value, lang);
           }
 
           if (typeof prop === "string") {
-            const missingPath = currentPath.join(".");
-            console.warn(
-              `Tradux: Translation missing for key: "${missingPath}"`,
-            );
+            warnMissing(currentPath);
             return "";
           }
           return undefined;
@@ -370,23 +1124,33 @@ async function createInstance(langOrCookies = null) {
   const t = createTranslationProxy();
 
   /**
-   * Switches the language for this instance. Loads the new JSON,
-   * replaces the internal translations reference, and persists the
-   * choice via cookie. On the server, can also set a response header.
+   * Switches the language for this instance. Loads the new JSON (only the
+   * namespaces loaded so far, with preloadNamespaces), replaces the internal
+   * translations reference, and persists the choice via cookie. On the
+   * server, can also set a response header.
    */
   async function setLanguage(newLang, serverContext = {}) {
     if (!newLang) return false;
-    const newTranslations = await loadLanguage(newLang);
+    const newTranslations = preload
+      ? await readNamespaces(
+          newLang,
+          [...new Set([...loadedNamespaces, ...pendingNamespaces.keys()])],
+          loadFile,
+        )
+      : await readLang(newLang);
     if (!newTranslations) return false;
 
     translations = newTranslations;
     targetLang = newLang;
+    fallbackData.clear();
+    if (preload) {
+      loadedNamespaces.clear();
+      for (const ns of Object.keys(newTranslations)) loadedNamespaces.add(ns);
+    }
 
     setLanguageCookie(newLang);
     if (!isBrowser && serverContext.setCookieHeader) {
-      serverContext.setCookieHeader(
-        `tradux_lang=${encodeURIComponent(newLang)}; Path=/; Max-Age=31536000`,
-      );
+      serverContext.setCookieHeader(serializeLanguageCookie(newLang));
     }
     return true;
   }
@@ -397,6 +1161,13 @@ async function createInstance(langOrCookies = null) {
       return targetLang;
     },
     setLanguage,
+    loadNamespace,
+    loadFallbacks,
+    [INSTANCE_STATE]: () => ({
+      language: targetLang,
+      config: pickRuntimeConfig(config),
+      files,
+    }),
   };
 }
 
@@ -406,10 +1177,23 @@ async function createInstance(langOrCookies = null) {
 let browserInstance = null;
 let browserInstancePromise = null;
 
+// --- Vite Integration ---
+// In dev, the plugin pushes edited translation files over HMR: they replace
+// the cached copy and the singleton reloads its language, then re-renders.
+viteRegistry?.subscribe((file, data) => {
+  translationCache[file] = stripKeyMarkers(data);
+  if (!browserInstance) return;
+  browserInstance
+    .setLanguage(browserInstance.currentLanguage)
+    .then(() => traduxEvents.dispatchEvent(new Event("change")));
+});
+
 /**
  * Main entry point. Initializes Tradux and returns a translation instance.
  * - Browser: creates/reuses a global singleton (safe to call from many components).
  * - Server: always returns a fresh isolated instance (safe for concurrent requests).
+ *   Pass the request (or its headers) to pick the language from the cookie
+ *   and Accept-Language, or just the "tradux_lang" cookie value.
  */
 export async function initTradux(langOrCookies = null) {
   if (isBrowser) {
@@ -425,21 +1209,73 @@ export async function initTradux(langOrCookies = null) {
   }
 }
 
+// --- Static Site Generation ---
+
+/**
+ * Every language to prerender, with its home page path under the current
+ * routing: [{ lang: "en", path: "/" }, { lang: "es", path: "/es/" }].
+ */
+export async function getStaticLocales() {
+  await ensureConfigLoaded();
+  return (config.availableLanguages || []).map((lang) => ({
+    lang,
+    path: localizePath("/", lang),
+  }));
+}
+
 /**
- * Maps language codes from config into { name, value } objects
- * using the full language definitions list for display names.
+ * A fresh instance for prerendering one page in `lang`. Fallback languages
+ * are loaded up front, since static HTML gets no second render. Throws for
+ * languages that aren't in availableLanguages.
+ */
+export async function createStaticInstance(lang) {
+  await ensureConfigLoaded();
+  const code = findLanguageCode(lang);
+  if (!code) {
+    throw new Error(`Tradux: "${lang}" is not in availableLanguages`);
+  }
+  const instance = await createInstance(code);
+  await instance.loadFallbacks();
+  return instance;
+}
+
+/**
+ * Maps language codes from config into { name, value } objects. Display
+ * names come from Intl.DisplayNames ("pt-BR" → "Brazilian Portuguese"), with
+ * the language definitions list as a fallback for older runtimes.
  */
 function getAvailableLanguages() {
   return (config.availableLanguages || []).filter(Boolean).map((langCode) => {
     const langDef = languageDefinitions.find((lang) => lang.value === langCode);
-    return langDef
-      ? { name: langDef.name, value: langCode }
-      : { name: langCode, value: langCode };
+    return {
+      name: getLocaleName(langCode) ?? langDef?.name ?? langCode,
+      value: langCode,
+    };
   });
 }
 
 export { config, getAvailableLanguages };
 
+/** Loads tradux.config.json (once) and returns the runtime config. */
+export async function getTraduxConfig() {
+  await ensureConfigLoaded();
+  return config;
+}
+
+/**
+ * Formats an ICU message directly — a raw string or a message returned by `t`.
+ * Uses the browser singleton's language unless one is given.
+ */
+function format(message, values = {}, lang = null) {
+  const locale =
+    lang || browserInstance?.currentLanguage || config.defaultLanguage;
+  const source =
+    typeof message === "function" ? message.toJSON() : String(message);
+  return formatMessage(source, values, locale);
+}
+
+export { format as formatMessage };
+
 /**
  * Browser-only: switches language on the singleton and emits a "change" event
  * so all framework adapters re-render automatically.
@@ -448,6 +1284,18 @@ export { config, getAvailableLanguages };
 export async function setLanguage(lang, serverContext = {}) {
   if (isBrowser) {
     const instance = await initTradux();
+
+    // Routing mode: the URL carries the language, so go to the localized page
+    if (getRouting()) {
+      if (!findLanguageCode(lang)) return false;
+      const target = localizePath(window.location.href, lang);
+      if (target !== window.location.href) {
+        setLanguageCookie(findLanguageCode(lang));
+        window.location.assign(target);
+        return true;
+      }
+    }
+
     const result = await instance.setLanguage(lang, serverContext);
     traduxEvents.dispatchEvent(new Event("change"));
     return result;
@@ -456,6 +1304,20 @@ export async function setLanguage(lang, serverContext = {}) {
   }
 }
 
+/**
+ * Browser-only: loads namespaces on the singleton. Components re-render via
+ * the "load" event once new translations are merged in.
+ * Throws on the server — use instance.loadNamespace() there instead.
+ */
+export async function loadNamespace(...namespaces) {
+  if (isBrowser) {
+    const instance = await initTradux();
+    return instance.loadNamespace(...namespaces);
+  } else {
+    throw new Error("Use instance.loadNamespace() for server-side rendering.");
+  }
+}
+
 /**
  * Lazy proxy for `t` — allows importing `t` at the top of a file
  * before Tradux is initialized. Delegates to the browser singleton
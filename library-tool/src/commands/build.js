@@ -0,0 +1,107 @@
+/**
+ * commands/build.js — Locale Manifests for Static Builds
+ *
+ * Writes the files a prerendered multi-language site needs, for the given
+ * routes and every language in availableLanguages:
+ *   sitemap.xml    one <url> per route and language, with hreflang alternates
+ *   hreflang.json  { "/about": { "en": "https://…/about", "es": "https://…/es/about", "x-default": … } }
+ *
+ * URLs are built by the runtime's localizePath(), so they follow
+ * config.routing exactly like the pages themselves.
+ */
+import fs from "fs-extra";
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { loadConfig } from "../utils/config.js";
+import { getAlternateLinks, getTraduxConfig } from "../client.js";
+
+const escapeXml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/** "/,about, /pricing" → ["/", "/about", "/pricing"] */
+function parseRoutes(routes = "/") {
+  const list = routes
+    .split(",")
+    .map((route) => route.trim())
+    .filter(Boolean)
+    .map((route) => (route.startsWith("/") ? route : `/${route}`));
+  return [...new Set(list)];
+}
+
+function buildSitemap(manifest) {
+  const urls = [];
+  for (const links of Object.values(manifest)) {
+    const alternates = Object.entries(links).map(
+      ([hreflang, href]) =>
+        `    <xhtml:link rel="alternate" hreflang="${escapeXml(hreflang)}" href="${escapeXml(href)}"/>`,
+    );
+    for (const [hreflang, href] of Object.entries(links)) {
+      if (hreflang === "x-default") continue;
+      urls.push(
+        [
+          "  <url>",
+          `    <loc>${escapeXml(href)}</loc>`,
+          ...alternates,
+          "  </url>",
+        ].join("\n"),
+      );
+    }
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+export async function runBuildCommand(opts = {}) {
+  const config = await loadConfig();
+  if (!config) {
+    logger.error("No valid tradux.config.json found. Run: npx tradux init");
+    process.exit(1);
+  }
+  if (!config.availableLanguages?.length) {
+    logger.error("availableLanguages is empty. Add a language first.");
+    process.exit(1);
+  }
+
+  const runtimeConfig = await getTraduxConfig();
+  const baseUrl = opts.baseUrl || runtimeConfig.routing?.origin;
+  let origin;
+  try {
+    origin = new URL(baseUrl).origin;
+  } catch {
+    logger.error(
+      "Sitemaps need absolute URLs. Pass --base-url https://example.com or set routing.origin in tradux.config.json.",
+    );
+    process.exit(1);
+  }
+
+  const routes = parseRoutes(opts.routes);
+  const manifest = {};
+  for (const route of routes) {
+    const links = getAlternateLinks(new URL(route, origin).href);
+    manifest[route] = Object.fromEntries(
+      links.map(({ hreflang, href }) => [hreflang, href]),
+    );
+  }
+
+  const outDir = path.resolve(opts.out || "public");
+  await fs.ensureDir(outDir);
+  await fs.writeFile(path.join(outDir, "sitemap.xml"), buildSitemap(manifest));
+  await fs.writeFile(
+    path.join(outDir, "hreflang.json"),
+    JSON.stringify(manifest, null, 2),
+  );
+
+  logger.success(
+    `Wrote sitemap.xml and hreflang.json to ${outDir} (${routes.length} route(s) × ${config.availableLanguages.length} language(s))`,
+  );
+}
@@ -0,0 +1,259 @@
+/**
+ * commands/check.js — Translation Completeness Check
+ *
+ * Non-interactive command for CI. Compares every file in availableLanguages
+ * against the default language and reports:
+ *   - missing:      keys in the source that the target doesn't have
+ *   - obsolete:     keys in the target that the source no longer has (or marks ---)
+ *   - type:         same key, different shape (string vs array vs object)
+ *   - untranslated: values identical to the source (=== keys are exempt)
+ *
+ * Exits with code 1 when any problem is found. Output is human-readable by
+ * default, or machine-readable with --format json / --format junit (the
+ * report alone on stdout; messages go to stderr).
+ */
+import path from "path";
+import { color, logger, logToStderr } from "../utils/logger.js";
+import { loadConfig } from "../utils/config.js";
+import { fileManager } from "../core/file-manager.js";
+import {
+  separateTranslatables,
+  getCleanSource,
+  findMissingContent,
+  findObsoleteContent,
+  formatKeyPath,
+  listLeafPaths,
+} from "../core/translator.js";
+
+const FORMATS = ["text", "json", "junit"];
+
+const ISSUE_LABELS = {
+  file: "missing file",
+  missing: "missing",
+  obsolete: "obsolete",
+  type: "type mismatch",
+  untranslated: "untranslated",
+};
+
+/** "string" | "array" | "object" | typeof — used to detect shape drift. */
+function kindOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+const hasKey = (target, key) =>
+  typeof target === "object" && target !== null && key in target;
+
+/** Finds keys present in both files whose value kind differs. */
+function findTypeMismatches(source, target, prefix = "") {
+  const mismatches = [];
+  for (const key in source) {
+    if (!hasKey(target, key)) continue;
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const sourceKind = kindOf(source[key]);
+    const targetKind = kindOf(target[key]);
+
+    if (sourceKind !== targetKind) {
+      mismatches.push({
+        key: keyPath,
+        message: `expected ${sourceKind}, found ${targetKind}`,
+      });
+    } else if (sourceKind === "object" || sourceKind === "array") {
+      mismatches.push(...findTypeMismatches(source[key], target[key], keyPath));
+    }
+  }
+  return mismatches;
+}
+
+/** Finds string leaves the target still has in the source language. */
+function findUntranslated(source, target, prefix = "") {
+  const untranslated = [];
+  for (const key in source) {
+    if (!hasKey(target, key)) continue;
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const value = source[key];
+
+    if (value && typeof value === "object") {
+      untranslated.push(...findUntranslated(value, target[key], keyPath));
+    } else if (
+      typeof value === "string" &&
+      /\p{L}/u.test(value) &&
+      target[key] === value
+    ) {
+      untranslated.push(keyPath);
+    }
+  }
+  return untranslated;
+}
+
+/** True if `key` is `parent` or nested under it. */
+const isWithin = (key, parent) =>
+  key === parent || key.startsWith(`${parent}.`);
+
+/** Runs every check for one target language. Returns a list of issues. */
+export function checkLanguage(sourceData, targetData) {
+  const { forTranslation, noTranslate } = separateTranslatables(sourceData);
+
+  const typeIssues = findTypeMismatches(getCleanSource(sourceData), targetData);
+  // A type mismatch also shows up as missing/obsolete children — report it once
+  const isMismatched = (key) =>
+    typeIssues.some((issue) => isWithin(key, issue.key));
+
+  const missing = [
+    ...listLeafPaths(findMissingContent(forTranslation, targetData)),
+    ...listLeafPaths(findMissingContent(noTranslate || {}, targetData)),
+  ].filter((key) => !isMismatched(key));
+  const obsolete = findObsoleteContent(sourceData, targetData)
+    .map(formatKeyPath)
+    .filter((key) => !isMismatched(key));
+  const untranslated = findUntranslated(forTranslation, targetData).filter(
+    (key) => !isMismatched(key),
+  );
+
+  return [
+    ...missing.map((key) => ({ type: "missing", key })),
+    ...obsolete.map((key) => ({ type: "obsolete", key })),
+    ...typeIssues.map((issue) => ({ type: "type", ...issue })),
+    ...untranslated.map((key) => ({ type: "untranslated", key })),
+  ];
+}
+
+// --- Reporters ---
+
+function printText(report) {
+  for (const { lang, issues } of report.languages) {
+    if (issues.length === 0) {
+      logger.success(`✔ ${lang}`);
+      continue;
+    }
+    logger.error(
+      `✗ ${lang} — ${issues.length} problem${issues.length !== 1 ? "s" : ""}`,
+    );
+    for (const issue of issues) {
+      const label = ISSUE_LABELS[issue.type].padEnd(14);
+      const detail = issue.message ? color.dim(` (${issue.message})`) : "";
+      logger.log(`   ${color.warn(label)} ${issue.key}${detail}`);
+    }
+  }
+
+  logger.log();
+  if (report.problems === 0) {
+    logger.success("All translations are complete.");
+  } else {
+    logger.error(
+      `${report.problems} problem${report.problems !== 1 ? "s" : ""} found in ${report.languages.filter((l) => l.issues.length > 0).length} language(s).`,
+    );
+  }
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/** One <testsuite> per language, one failing <testcase> per issue. */
+function toJUnit(report) {
+  const suites = report.languages.map(({ lang, issues }) => {
+    const cases =
+      issues.length === 0
+        ? [
+            `    <testcase classname="tradux.${escapeXml(lang)}" name="complete"/>`,
+          ]
+        : issues.map((issue) => {
+            const label = ISSUE_LABELS[issue.type];
+            const message = issue.message
+              ? `${label}: ${issue.message}`
+              : label;
+            return [
+              `    <testcase classname="tradux.${escapeXml(lang)}" name="${escapeXml(issue.key)}">`,
+              `      <failure type="${issue.type}" message="${escapeXml(message)}"/>`,
+              "    </testcase>",
+            ].join("\n");
+          });
+    return [
+      `  <testsuite name="${escapeXml(lang)}" tests="${cases.length}" failures="${issues.length}">`,
+      ...cases,
+      "  </testsuite>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="tradux check" failures="${report.problems}">`,
+    ...suites,
+    "</testsuites>",
+  ].join("\n");
+}
+
+// --- Command ---
+
+export async function runCheckCommand(opts = {}) {
+  const format = opts.format || "text";
+  // stdout carries just the report in json/junit, so CI can redirect it
+  if (format !== "text") logToStderr();
+  if (!FORMATS.includes(format)) {
+    logger.error(
+      `Invalid format: ${format}. Use one of: ${FORMATS.join(", ")}.`,
+    );
+    process.exit(1);
+  }
+
+  // Read-only: unlike other commands, check never auto-heals the config
+  const config = await loadConfig();
+  if (!config) {
+    logger.error("No valid tradux.config.json found. Run: npx tradux init");
+    process.exit(1);
+  }
+
+  const i18nAbsolutePath = fileManager.getAbsoluteI18nPath(config.i18nPath);
+  const { namespaces } = config;
+  const fileName = (lang) => (namespaces ? `${lang}/` : `${lang}.json`);
+  const sourceData = await fileManager.loadLanguageData(
+    i18nAbsolutePath,
+    config.defaultLanguage,
+    namespaces,
+  );
+  if (!sourceData) {
+    logger.error(
+      `Source file not found or invalid: ${path.join(i18nAbsolutePath, fileName(config.defaultLanguage))}`,
+    );
+    process.exit(1);
+  }
+
+  const report = { source: config.defaultLanguage, problems: 0, languages: [] };
+  const targets = config.availableLanguages.filter(
+    (lang) => lang !== config.defaultLanguage,
+  );
+
+  for (const lang of targets) {
+    const targetData = await fileManager.loadLanguageData(
+      i18nAbsolutePath,
+      lang,
+      namespaces,
+    );
+    const issues = targetData
+      ? checkLanguage(sourceData, targetData)
+      : [
+          {
+            type: "file",
+            key: fileName(lang),
+            message: "not found or invalid",
+          },
+        ];
+    report.problems += issues.length;
+    report.languages.push({ lang, issues });
+  }
+
+  if (format === "json") {
+    console.log(JSON.stringify(report, null, 2));
+  } else if (format === "junit") {
+    console.log(toJUnit(report));
+  } else {
+    printText(report);
+  }
+
+  if (report.problems > 0) process.exit(1);
+}
@@ -21,6 +21,7 @@ import {
   oc,
   promptForProviderAndModel,
   promptForLanguages,
+  getLanguageLabel,
   BACK_SYMBOL,
 } from "../utils/prompt-helpers.js";
 
@@ -207,7 +208,7 @@ export async function runInitCommand(opts, packageVersion) {
         );
         const i18nAbsPath = fileManager.getAbsoluteI18nPath(draft.i18nPath);
         const langsWithFiles = addedLangs.filter((l) =>
-          fs.existsSync(path.join(i18nAbsPath, `${l}.json`)),
+          fileManager.languageExists(i18nAbsPath, l),
         );
 
         if (langsWithFiles.length > 0) {
@@ -232,8 +233,7 @@ export async function runInitCommand(opts, packageVersion) {
           if (discardChoice === "back") continue;
           if (discardChoice === "delete") {
             for (const l of langsWithFiles) {
-              const fp = path.join(i18nAbsPath, `${l}.json`);
-              if (fs.existsSync(fp)) fs.unlinkSync(fp);
+              fileManager.removeLanguage(i18nAbsPath, l);
             }
           }
         }
@@ -285,7 +285,7 @@ export async function runInitCommand(opts, packageVersion) {
               (l) => l !== cfg.defaultLanguage,
             );
             const missingLangs = nonDefaultLangs.filter(
-              (l) => !fs.existsSync(path.join(i18nAbsPath, `${l}.json`)),
+              (l) => !fileManager.languageExists(i18nAbsPath, l),
             );
 
             if (missingLangs.length > 0) {
@@ -341,7 +341,7 @@ export async function runInitCommand(opts, packageVersion) {
         if (removedLangs.length > 0) {
           const i18nAbsPath = fileManager.getAbsoluteI18nPath(draft.i18nPath);
           const langsWithFiles = removedLangs.filter((l) =>
-            fs.existsSync(path.join(i18nAbsPath, `${l}.json`)),
+            fileManager.languageExists(i18nAbsPath, l),
           );
 
           if (langsWithFiles.length > 0) {
@@ -357,8 +357,7 @@ export async function runInitCommand(opts, packageVersion) {
             if (confirmDelete === BACK_SYMBOL || !confirmDelete) continue;
 
             for (const l of langsWithFiles) {
-              const fp = path.join(i18nAbsPath, `${l}.json`);
-              if (fs.existsSync(fp)) fs.unlinkSync(fp);
+              fileManager.removeLanguage(i18nAbsPath, l);
             }
             p.log.success(
               color.success(`Deleted files for: ${langsWithFiles.join(", ")}`),
@@ -506,10 +505,11 @@ export async function runInitCommand(opts, packageVersion) {
         const langs = draft.availableLanguages?.length
           ? draft.availableLanguages
           : availableLanguages.map((l) => l.value);
-        const opts = langs.map((v) => {
-          const info = availableLanguages.find((al) => al.value === v);
-          return { value: v, label: info ? info.name : v, hint: v };
-        });
+        const opts = langs.map((v) => ({
+          value: v,
+          label: getLanguageLabel(v),
+          hint: v,
+        }));
         const defaultLanguage = oc(
           await p.select({
             message: color.secondary("Source (default) language:\n"),
@@ -6,10 +6,14 @@ import path from "path";
 import * as p from "@clack/prompts";
 import { logger, color } from "../utils/logger.js";
 import { printBanner } from "../utils/ui.js";
-import { availableLanguages } from "../utils/languages.js";
 import { translateFiles, updateLanguageFiles } from "../core/translator.js";
 import { fileManager } from "../core/file-manager.js";
-import { oc, BACK_SYMBOL } from "../utils/prompt-helpers.js";
+import {
+  oc,
+  BACK_SYMBOL,
+  getLanguageLabel,
+  getLanguageOptions,
+} from "../utils/prompt-helpers.js";
 
 export function showHelp() {
   const configPath = path.join(process.cwd(), "tradux.config.json");
@@ -26,6 +30,11 @@ export function showHelp() {
 
   logger.info("COMMANDS");
   cmd("init", "Configure Tradux interactively");
+  cmd("check [--format <fmt>]", "Report missing/untranslated keys for CI");
+  cmd("tm export|import <file>", "Move the translation memory between repos");
+  cmd("types [-o <file>]", "Generate TypeScript types for your keys");
+  cmd("build --base-url <url>", "Write sitemap.xml and hreflang.json");
+  cmd("proxy serve [--port <n>]", "Run the translation proxy locally");
   console.log("");
 
   logger.info("FLAGS (MAIN ACTIONS)");
@@ -45,6 +54,7 @@ export function showHelp() {
   cmd("-f, --fallback-provider [id]", "Set fallback provider");
   cmd("-F, --fallback-model [id]", "Set fallback model");
   cmd("-R, --review", "Enable translation quality review step");
+  cmd("-c, --concurrency <n>", "Translate up to n languages in parallel");
   cmd("-h, --help", "Show this help");
   cmd("-v, --version", "Print version");
   console.log("");
@@ -66,11 +76,7 @@ export async function promptLanguages(config) {
   const languages = oc(
     await p.autocompleteMultiselect({
       message: color.secondary("Target languages:"),
-      options: availableLanguages.map((l) => ({
-        value: l.value,
-        label: l.name,
-        hint: l.value,
-      })),
+      options: getLanguageOptions(currentSelected),
       initialValues: currentSelected,
       required: false,
     }),
@@ -89,10 +95,7 @@ export async function promptLanguages(config) {
     process.exit(0);
   }
 
-  const selectedNames = availableLanguages
-    .filter((lang) => newlySelected.includes(lang.value))
-    .map((lang) => lang.name)
-    .join(", ");
+  const selectedNames = newlySelected.map(getLanguageLabel).join(", ");
   p.log.success(color.success(`Selected: ${selectedNames}\n`));
 
   return newlySelected.join(",");
@@ -120,12 +123,7 @@ export async function promptUpdateAllLanguages(config) {
     process.exit(0);
   }
 
-  const selectedNames = languagesToUpdate
-    .map((lang) => {
-      const langInfo = availableLanguages.find((al) => al.value === lang);
-      return langInfo ? langInfo.name : lang;
-    })
-    .join(", ");
+  const selectedNames = languagesToUpdate.map(getLanguageLabel).join(", ");
 
   p.log.info(color.warn(`Updating: ${selectedNames}\n`));
   p.log.info(color.primary(`Base language: ${config.defaultLanguage}`));
@@ -142,10 +140,11 @@ export async function promptRemoveLanguages(config) {
   }
 
   p.intro(color.primary("Remove languages"));
-  const opts = removableLanguages.map((lang) => {
-    const langInfo = availableLanguages.find((al) => al.value === lang);
-    return { value: lang, label: langInfo ? langInfo.name : lang, hint: lang };
-  });
+  const opts = removableLanguages.map((lang) => ({
+    value: lang,
+    label: getLanguageLabel(lang),
+    hint: lang,
+  }));
 
   const selected = oc(
     await p.multiselect({
@@ -0,0 +1,202 @@
+/**
+ * commands/proxy.js — Self-Hosted Translation Proxy
+ *
+ *   tradux proxy serve [--port <n>] [--host <host>] [--allow-base-url <origins>]
+ *
+ * Runs the worker proxy's handler (see proxy/proxy-handler.js) on Node's http
+ * module, with the same /api/translate-json contract. Point TRADUX_WORKER_URL
+ * (or workerUrl in tradux.config.json) at it to keep API keys inside your
+ * network, or use it as a local stand-in in tests.
+ *
+ * Unlike the Worker, nothing stops a Node process from reaching internal
+ * hosts, so the custom provider only gets the origins listed with
+ * --allow-base-url, and never one that resolves to a private address.
+ */
+import dns from "dns/promises";
+import http from "http";
+import net from "net";
+import { logger } from "../utils/logger.js";
+import { handleProxyRequest, PROXY_ENDPOINT } from "../proxy/proxy-handler.js";
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and
+// reserved ranges. IPv4-mapped IPv6 addresses are matched as IPv4.
+const privateAddresses = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  privateAddresses.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  privateAddresses.addSubnet(prefix, bits, "ipv6");
+}
+
+/** True if the host is, or resolves to, any non-public address. */
+async function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host)
+    ? [{ address: host, family: net.isIP(host) }]
+    : await dns.lookup(host, { all: true });
+  return addresses.some(({ address, family }) =>
+    privateAddresses.check(address, family === 6 ? "ipv6" : "ipv4"),
+  );
+}
+
+/** The handler's checkBaseURL for the origins passed with --allow-base-url. */
+function createBaseURLCheck(allowedOrigins) {
+  return async (baseURL) => {
+    if (!baseURL) return null;
+    let url;
+    try {
+      url = new URL(baseURL);
+    } catch {
+      return `Invalid baseURL "${baseURL}".`;
+    }
+    if (!allowedOrigins.includes(url.origin)) {
+      return `This proxy does not allow the custom baseURL ${url.origin}.`;
+    }
+    try {
+      if (await isPrivateHost(url.hostname)) {
+        return `The custom baseURL ${url.origin} points to a private address.`;
+      }
+    } catch {
+      return `Could not resolve ${url.hostname}.`;
+    }
+    return null;
+  };
+}
+
+/** "https://a.example, https://b.example/v1" → ["https://a.example", "https://b.example"] */
+function parseAllowedOrigins(list = "") {
+  return list
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const url = new URL(entry);
+      if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new Error(`"${entry}" is not an http(s) URL`);
+      }
+      return url.origin;
+    });
+}
+
+/**
+ * Turns a Node request into a Fetch API Request for the handler, or returns
+ * null when the body is larger than MAX_BODY_BYTES.
+ */
+async function toFetchRequest(req, origin) {
+  if (Number(req.headers["content-length"]) > MAX_BODY_BYTES) return null;
+
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    if (Array.isArray(value)) value.forEach((v) => headers.append(name, v));
+    else if (value !== undefined) headers.set(name, value);
+  }
+
+  // Bodies without a Content-Length are drained but not kept past the limit
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+  }
+  if (size > MAX_BODY_BYTES) return null;
+  const hasBody = chunks.length > 0 && !["GET", "HEAD"].includes(req.method);
+
+  return new Request(new URL(req.url, origin), {
+    method: req.method,
+    headers,
+    body: hasBody ? Buffer.concat(chunks) : undefined,
+  });
+}
+
+/** Writes a Fetch API Response back through a Node response. */
+async function sendFetchResponse(res, response) {
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+export async function runProxyServe(opts = {}) {
+  const port = Number(opts.port ?? DEFAULT_PORT);
+  const host = opts.host || "127.0.0.1";
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    logger.error(`Invalid port "${opts.port}".`);
+    process.exit(1);
+  }
+
+  let allowedOrigins;
+  try {
+    allowedOrigins = parseAllowedOrigins(opts.allowBaseUrl);
+  } catch (error) {
+    logger.error(`Invalid --allow-base-url: ${error.message}`);
+    process.exit(1);
+  }
+  const options = { checkBaseURL: createBaseURLCheck(allowedOrigins) };
+
+  // IPv6 hosts need brackets in URLs
+  const hostname = host.includes(":") ? `[${host}]` : host;
+  const origin = `http://${hostname}:${port}`;
+  const server = http.createServer(async (req, res) => {
+    try {
+      const request = await toFetchRequest(req, origin);
+      if (!request) {
+        res.writeHead(413, {
+          "Content-Type": "application/json",
+          Connection: "close",
+        });
+        res.end(
+          JSON.stringify({
+            success: false,
+            error: `Request body is larger than ${MAX_BODY_BYTES} bytes.`,
+          }),
+        );
+        return;
+      }
+      await sendFetchResponse(res, await handleProxyRequest(request, options));
+    } catch (error) {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  });
+
+  server.on("error", (error) => {
+    logger.error(
+      error.code === "EADDRINUSE"
+        ? `Port ${port} is already in use. Pick another one with --port.`
+        : `Could not start the proxy: ${error.message}`,
+    );
+    process.exit(1);
+  });
+
+  server.listen(port, host, () => {
+    const { port: actualPort } = server.address();
+    const url = `http://${hostname}:${actualPort}${PROXY_ENDPOINT}`;
+    logger.success(`Tradux proxy listening on ${url}`);
+    logger.info(`Use it with: TRADUX_WORKER_URL=${url}`);
+    if (allowedOrigins.length > 0) {
+      logger.info(`Custom provider allowed for: ${allowedOrigins.join(", ")}`);
+    }
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+}
@@ -0,0 +1,63 @@
+/**
+ * commands/tm.js — Translation Memory Import/Export
+ *
+ * Moves .tradux-tm.json between projects:
+ *   tradux tm export <file>   writes the project's memory to <file>
+ *   tradux tm import <file>   merges <file> into the project's memory
+ */
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { loadConfig } from "../utils/config.js";
+import { fileManager } from "../core/file-manager.js";
+import {
+  loadMemory,
+  saveMemory,
+  readMemoryFile,
+  writeMemoryFile,
+  mergeMemory,
+  countMemoryEntries,
+} from "../core/translation-memory.js";
+
+async function requireConfig() {
+  const config = await loadConfig();
+  if (!config) {
+    logger.error("No valid tradux.config.json found. Run: npx tradux init");
+    process.exit(1);
+  }
+}
+
+export async function runTmExport(file) {
+  await requireConfig();
+  const memory = await loadMemory();
+  const count = countMemoryEntries(memory);
+  if (count === 0) {
+    logger.warn("The translation memory is empty. Nothing to export.");
+    return;
+  }
+
+  const outputPath = path.resolve(file);
+  await writeMemoryFile(outputPath, memory);
+  logger.success(`Exported ${count} translation(s) to ${outputPath}`);
+}
+
+export async function runTmImport(file) {
+  const inputPath = path.resolve(file);
+  if (!fileManager.exists(inputPath)) {
+    logger.error(`File not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  const incoming = await readMemoryFile(inputPath);
+  if (countMemoryEntries(incoming) === 0) {
+    logger.error(`${inputPath} is not a Tradux translation memory file.`);
+    process.exit(1);
+  }
+
+  await requireConfig();
+  const memory = await loadMemory();
+  const { added, updated } = mergeMemory(memory, incoming);
+  await saveMemory(memory);
+  logger.success(
+    `Imported translation memory: ${added} added, ${updated} updated.`,
+  );
+}
@@ -0,0 +1,51 @@
+/**
+ * commands/types.js — Typed Translation Keys
+ *
+ *   tradux types [--out <file>]
+ *
+ * Generates tradux-keys.d.ts from the default language, so `t` is typed
+ * with the real keys (see core/key-types.js). Once the file exists, -t and
+ * -u runs keep it up to date.
+ */
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { loadConfig } from "../utils/config.js";
+import { fileManager } from "../core/file-manager.js";
+import { getCleanSource, listLeafPaths } from "../core/translator.js";
+import {
+  describeSource,
+  getKeyTypesPath,
+  writeKeyTypes,
+} from "../core/key-types.js";
+
+export async function runTypesCommand(opts = {}) {
+  const config = await loadConfig();
+  if (!config) {
+    logger.error("No valid tradux.config.json found. Run: npx tradux init");
+    process.exit(1);
+  }
+
+  const i18nAbsolutePath = fileManager.getAbsoluteI18nPath(config.i18nPath);
+  const sourceData = await fileManager.loadLanguageData(
+    i18nAbsolutePath,
+    config.defaultLanguage,
+    config.namespaces,
+  );
+  if (!sourceData) {
+    logger.error(`Source file not found or invalid: ${describeSource(config)}`);
+    process.exit(1);
+  }
+
+  const source = getCleanSource(sourceData);
+  const defaultPath = getKeyTypesPath(config);
+  const filePath = opts.out ? path.resolve(opts.out) : defaultPath;
+  await writeKeyTypes(filePath, source, describeSource(config));
+
+  const relative = path.relative(process.cwd(), filePath);
+  logger.success(`Wrote ${listLeafPaths(source).length} key(s) to ${relative}`);
+  if (filePath !== defaultPath) {
+    logger.info(
+      `Add "types": "${relative}" to tradux.config.json to keep it updated after -t and -u.`,
+    );
+  }
+}
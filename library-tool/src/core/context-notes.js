@@ -0,0 +1,92 @@
+import fs from "fs-extra";
+import path from "path";
+import { logger } from "../utils/logger.js";
+
+/**
+ * context-notes.js — Translator Notes per Key
+ *
+ * Notes tell the model what a string is for ("Save" is a button label, not
+ * a verb about money). They come from two places:
+ *   - "@key" entries next to the key in the source file: { "save": "Save", "@save": "Button label" }
+ *   - a sidecar file <defaultLanguage>.context.json in the i18n folder that
+ *     mirrors the source structure: { "actions": { "save": "Button label" } }
+ *     (or <defaultLanguage>/<namespace>.context.json in the namespaced layout)
+ *
+ * Both are flattened into one map of clean dot-paths → note. Inline "@key"
+ * notes win over the sidecar. Notes are only ever sent to the worker; they
+ * are never written into target files.
+ */
+
+export const CONTEXT_FILE_SUFFIX = ".context.json";
+
+/** Flattens nested notes into { "actions.save": "Button label" }. */
+function flattenNotes(data, prefix = "", notes = {}) {
+  for (const key in data) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const value = data[key];
+    if (typeof value === "string") notes[keyPath] = value;
+    else if (value && typeof value === "object" && !Array.isArray(value)) {
+      flattenNotes(value, keyPath, notes);
+    }
+  }
+  return notes;
+}
+
+async function readSidecar(filePath, prefix = "") {
+  if (!fs.existsSync(filePath)) return {};
+  try {
+    return flattenNotes(
+      JSON.parse(await fs.readFile(filePath, "utf8")),
+      prefix,
+    );
+  } catch (e) {
+    logger.warn(`Could not parse ${path.basename(filePath)}, ignoring it.`);
+    return {};
+  }
+}
+
+/**
+ * Loads <defaultLanguage>.context.json and merges the inline "@key" notes
+ * collected from the source file on top. In the namespaced layout each
+ * <defaultLanguage>/<namespace>.context.json is read too, its paths prefixed
+ * with the namespace. Returns an empty object if there are no notes.
+ */
+export async function loadContextNotes(config, i18nAbsolutePath, inline = {}) {
+  let sidecar = await readSidecar(
+    path.join(
+      i18nAbsolutePath,
+      `${config.defaultLanguage}${CONTEXT_FILE_SUFFIX}`,
+    ),
+  );
+  for (const namespace of config.namespaces || []) {
+    const filePath = path.join(
+      i18nAbsolutePath,
+      config.defaultLanguage,
+      `${namespace}${CONTEXT_FILE_SUFFIX}`,
+    );
+    sidecar = { ...sidecar, ...(await readSidecar(filePath, namespace)) };
+  }
+  return { ...sidecar, ...inline };
+}
+
+/**
+ * Picks the notes for the keys present in `data` (a payload or batch, whose
+ * paths are relative to the source root). Notes on a parent key apply to
+ * everything below it. Returns undefined when no key has a note.
+ */
+export function selectContext(notes, data) {
+  if (!notes || Object.keys(notes).length === 0) return undefined;
+
+  const selected = {};
+  const walk = (value, prefix) => {
+    if (prefix && notes[prefix]) selected[prefix] = notes[prefix];
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      for (const key in value) {
+        walk(value[key], prefix ? `${prefix}.${key}` : key);
+      }
+    }
+  };
+  walk(data, "");
+
+  return Object.keys(selected).length > 0 ? selected : undefined;
+}
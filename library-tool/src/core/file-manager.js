@@ -93,6 +93,95 @@ class FileManager {
     }
   }
 
+  // --- Namespaced layout ---
+  // Besides one file per language (i18n/en.json), translations can be split
+  // into namespaces: one directory per language with one file per namespace
+  // (i18n/en/common.json, i18n/en/checkout.json). The CLI works on the merged
+  // form, { common: {...}, checkout: {...} }, and splits it again on write.
+
+  /** True if a language has translations, as en.json or as an en/ directory. */
+  languageExists(i18nAbsolutePath, language) {
+    return (
+      this.exists(path.join(i18nAbsolutePath, `${language}.json`)) ||
+      this.exists(path.join(i18nAbsolutePath, language))
+    );
+  }
+
+  /** Deletes a language's file or namespace directory. Returns true if anything was removed. */
+  removeLanguage(i18nAbsolutePath, language) {
+    let removed = false;
+    for (const target of [
+      path.join(i18nAbsolutePath, `${language}.json`),
+      path.join(i18nAbsolutePath, language),
+    ]) {
+      if (this.exists(target)) {
+        fs.removeSync(target);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Loads a language's translations. With `namespaces`, reads each
+   * <language>/<namespace>.json into { [namespace]: data } — missing files
+   * are skipped. Returns null if nothing exists or a file can't be parsed.
+   */
+  async loadLanguageData(i18nPath, language, namespaces = null) {
+    if (!namespaces) return this.loadLanguageFile(i18nPath, language);
+
+    const languageDir = path.join(this.resolveI18nPath(i18nPath), language);
+    if (!this.exists(languageDir)) return null;
+
+    const data = {};
+    for (const namespace of namespaces) {
+      const filePath = path.join(languageDir, `${namespace}.json`);
+      if (!this.exists(filePath)) continue;
+      try {
+        data[namespace] = JSON.parse(await fs.readFile(filePath, "utf8"));
+      } catch (error) {
+        console.error(`\nFailed to load language file: ${filePath}`);
+        return null;
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Writes a language's translations — the counterpart of loadLanguageData.
+   * In the namespaced layout, files for namespaces that no longer exist in
+   * the source are removed.
+   */
+  async writeLanguageData(i18nAbsolutePath, language, data, namespaces = null) {
+    if (!namespaces) {
+      await fs.writeFile(
+        path.join(i18nAbsolutePath, `${language}.json`),
+        JSON.stringify(data, null, 2),
+      );
+      return;
+    }
+
+    const languageDir = path.join(i18nAbsolutePath, language);
+    await fs.ensureDir(languageDir);
+    for (const namespace of namespaces) {
+      await fs.writeFile(
+        path.join(languageDir, `${namespace}.json`),
+        JSON.stringify(data[namespace] ?? {}, null, 2),
+      );
+    }
+
+    for (const file of await fs.readdir(languageDir)) {
+      const namespace = file.replace(/\.json$/, "");
+      if (
+        file.endsWith(".json") &&
+        !file.startsWith(".") &&
+        !namespaces.includes(namespace)
+      ) {
+        await fs.remove(path.join(languageDir, file));
+      }
+    }
+  }
+
   /**
    * Reads tradux.config.json, validates required fields, resolves the
    * i18n path, and caches the result for the rest of the session.
@@ -124,6 +213,15 @@ class FileManager {
         availableLanguages: config.availableLanguages || [],
         translation: config.translation || null,
         workerUrl: config.workerUrl || null,
+        glossary: config.glossary || null,
+        types:
+          typeof config.types === "string" && config.types
+            ? config.types
+            : null,
+        namespaces:
+          Array.isArray(config.namespaces) && config.namespaces.length > 0
+            ? config.namespaces
+            : null,
       };
 
       return this.configCache;
@@ -0,0 +1,193 @@
+import fs from "fs-extra";
+import path from "path";
+import { logger } from "../utils/logger.js";
+import { getParentLocales } from "../utils/locale.js";
+
+/**
+ * glossary.js — Product Terminology
+ *
+ * Keeps brand and product terms consistent across runs. The glossary comes
+ * from the `glossary` block in tradux.config.json and/or a glossary.json
+ * file in the i18n folder (config entries win), both in this shape:
+ *
+ *   {
+ *     "doNotTranslate": ["Tradux", "Acme Cloud"],
+ *     "terms": { "checkout": { "es": "pago", "fr": "paiement" } }
+ *   }
+ *
+ * Only the entries that occur in a request are sent to the worker, and
+ * translations are verified afterwards so violations show in the summary.
+ */
+
+export const GLOSSARY_FILENAME = "glossary.json";
+
+function normalizeGlossary(raw) {
+  const doNotTranslate = Array.isArray(raw?.doNotTranslate)
+    ? raw.doNotTranslate.filter((term) => typeof term === "string" && term)
+    : [];
+
+  const terms = {};
+  for (const [term, translations] of Object.entries(raw?.terms || {})) {
+    if (!term || !translations || typeof translations !== "object") continue;
+    terms[term] = {};
+    for (const [lang, translation] of Object.entries(translations)) {
+      if (typeof translation === "string") terms[term][lang] = translation;
+    }
+  }
+
+  return { doNotTranslate, terms };
+}
+
+/**
+ * Loads and merges the glossary from the config block and glossary.json.
+ * Returns null when neither defines any entries.
+ */
+export async function loadGlossary(config, i18nAbsolutePath) {
+  const filePath = path.join(i18nAbsolutePath, GLOSSARY_FILENAME);
+  let fromFile = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      fromFile = JSON.parse(await fs.readFile(filePath, "utf8"));
+    } catch (e) {
+      logger.warn(`Could not parse ${GLOSSARY_FILENAME}, ignoring it.`);
+    }
+  }
+
+  const file = normalizeGlossary(fromFile);
+  const inline = normalizeGlossary(config.glossary);
+  const terms = { ...file.terms };
+  for (const [term, translations] of Object.entries(inline.terms)) {
+    terms[term] = { ...terms[term], ...translations };
+  }
+  const glossary = {
+    doNotTranslate: [
+      ...new Set([...file.doNotTranslate, ...inline.doNotTranslate]),
+    ],
+    terms,
+  };
+
+  const isEmpty =
+    glossary.doNotTranslate.length === 0 &&
+    Object.keys(glossary.terms).length === 0;
+  return isEmpty ? null : glossary;
+}
+
+/** Forced translation of a term for a language ("pt-BR" falls back to "pt"). */
+function getTermTranslation(translations, lang) {
+  for (const tag of [lang, ...getParentLocales(lang)]) {
+    if (translations[tag] !== undefined) return translations[tag];
+  }
+  return undefined;
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Matches a term as a whole word. Glossary terms match in any case; terms
+ * that must not be translated only match as written, the same way the
+ * translation is checked for them.
+ */
+const containsTerm = (text, term, { exact = false } = {}) =>
+  new RegExp(
+    `(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`,
+    exact ? "u" : "iu",
+  ).test(text);
+
+/** Yields [keys, text] for every string leaf, array items included. */
+function* stringLeaves(data, prefix = []) {
+  if (typeof data === "string") {
+    yield [prefix, data];
+    return;
+  }
+  if (!data || typeof data !== "object") return;
+  for (const key of Object.keys(data)) {
+    yield* stringLeaves(data[key], [...prefix, key]);
+  }
+}
+
+/**
+ * Narrows the glossary to one language and to the terms that actually occur
+ * in `data`, in the shape the worker expects:
+ *   { doNotTranslate: ["Tradux"], terms: { checkout: "pago" } }
+ * Returns undefined when nothing applies, so it drops out of the request body.
+ */
+export function selectGlossary(glossary, targetLang, data) {
+  if (!glossary) return undefined;
+  const texts = [...stringLeaves(data)].map(([, text]) => text);
+  const occurs = (term, options) =>
+    texts.some((text) => containsTerm(text, term, options));
+
+  const doNotTranslate = glossary.doNotTranslate.filter((term) =>
+    occurs(term, { exact: true }),
+  );
+  const terms = {};
+  for (const [term, translations] of Object.entries(glossary.terms)) {
+    const translation = getTermTranslation(translations, targetLang);
+    if (translation !== undefined && occurs(term)) terms[term] = translation;
+  }
+
+  if (doNotTranslate.length === 0 && Object.keys(terms).length === 0) {
+    return undefined;
+  }
+  return { doNotTranslate, terms };
+}
+
+/**
+ * Flags translated leaves that break the glossary: a do-not-translate term
+ * that didn't survive verbatim, or a term whose forced translation is missing.
+ *
+ * Returns: [{ key, path, reason }] — `key` is the dot-joined `path`, for display
+ */
+export function findGlossaryViolations(
+  glossary,
+  targetLang,
+  source,
+  translated,
+) {
+  if (!glossary) return [];
+
+  const translatedLeaves = new Map(
+    [...stringLeaves(translated)].map(([keys, text]) => [
+      JSON.stringify(keys),
+      text,
+    ]),
+  );
+  const violations = [];
+
+  for (const [path, sourceText] of stringLeaves(source)) {
+    const translation = translatedLeaves.get(JSON.stringify(path));
+    if (translation === undefined) continue;
+    const key = path.join(".");
+
+    for (const term of glossary.doNotTranslate) {
+      // Compounds like "Tradux-Konto" still keep the term verbatim
+      if (
+        containsTerm(sourceText, term, { exact: true }) &&
+        !translation.includes(term)
+      ) {
+        violations.push({
+          key,
+          path,
+          reason: `"${term}" must not be translated`,
+        });
+      }
+    }
+
+    for (const [term, translations] of Object.entries(glossary.terms)) {
+      const expected = getTermTranslation(translations, targetLang);
+      if (
+        expected !== undefined &&
+        containsTerm(sourceText, term) &&
+        !translation.toLowerCase().includes(expected.toLowerCase())
+      ) {
+        violations.push({
+          key,
+          path,
+          reason: `"${term}" should be "${expected}"`,
+        });
+      }
+    }
+  }
+
+  return violations;
+}
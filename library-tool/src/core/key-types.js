@@ -0,0 +1,136 @@
+import fs from "fs-extra";
+import path from "path";
+import { logger } from "../utils/logger.js";
+import {
+  getMessageArguments,
+  isCallableMessage,
+} from "../utils/message-format.js";
+
+/**
+ * key-types.js — TypeScript Declarations for Translation Keys
+ *
+ * Turns the default language's keys into a module augmentation for
+ * "tradux", so `t.nav.home` autocompletes and `t.nav.hom` fails to compile:
+ *
+ *   declare module "tradux" {
+ *     interface TraduxTypes {
+ *       translations: { nav: { home: string } };
+ *     }
+ *   }
+ *
+ * Strings with arguments are typed as callable messages with their argument
+ * shape: "{count, plural, ...}" → Message<{ count: number }>, and a legacy
+ * "{{name}}" → Message<{ name: string | number }>.
+ */
+
+export const KEY_TYPES_FILENAME = "tradux-keys.d.ts";
+
+const INDENT = "    ";
+
+/** What each kind of ICU argument accepts. */
+const ARGUMENT_TYPES = {
+  string: "string | number",
+  number: "number",
+  plural: "number",
+  selectordinal: "number",
+  select: "string",
+  date: "Date | number",
+  time: "Date | number",
+};
+
+const propertyName = (key) =>
+  /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+
+function messageType(text) {
+  if (!isCallableMessage(text)) return "string";
+  const args = getMessageArguments(text);
+  const fields = args.map(
+    ({ name, type }) =>
+      `${propertyName(name)}: ${ARGUMENT_TYPES[type] ?? "string | number"}`,
+  );
+  return `Message<{ ${fields.join("; ")} }>`;
+}
+
+function typeOf(value, depth) {
+  if (typeof value === "string") return messageType(value);
+  if (Array.isArray(value)) {
+    const items = [...new Set(value.map((item) => typeOf(item, depth)))];
+    if (items.length === 0) return "readonly string[]";
+    return items.length === 1
+      ? `readonly ${items[0]}[]`
+      : `readonly (${items.join(" | ")})[]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return "{}";
+    const pad = INDENT.repeat(depth + 1);
+    const lines = entries.map(
+      ([key, child]) =>
+        `${pad}${propertyName(key)}: ${typeOf(child, depth + 1)};`,
+    );
+    return `{\n${lines.join("\n")}\n${INDENT.repeat(depth)}}`;
+  }
+  return value === null ? "null" : typeof value;
+}
+
+/**
+ * Builds the declaration file for clean source data (markers stripped,
+ * notes and ignored keys removed). `sourceLabel` names the source in the header.
+ */
+export function buildKeyTypes(source, sourceLabel) {
+  return [
+    `// Generated by \`npx tradux types\` from ${sourceLabel}. Do not edit:`,
+    "// it is rewritten after every `tradux -t` / `tradux -u` run.",
+    "import type { Message } from 'tradux';",
+    "",
+    "declare module 'tradux' {",
+    `${INDENT}interface TraduxTypes {`,
+    `${INDENT.repeat(2)}translations: ${typeOf(source, 2)};`,
+    `${INDENT}}`,
+    "}",
+    "",
+  ].join("\n");
+}
+
+/** "i18n/en.json" or "i18n/en/" (namespaced), for the file header. */
+export function describeSource(config) {
+  const i18nPath = config.i18nPath.replace(/^\.\//, "").replace(/\/$/, "");
+  return config.namespaces
+    ? `${i18nPath}/${config.defaultLanguage}/`
+    : `${i18nPath}/${config.defaultLanguage}.json`;
+}
+
+/**
+ * Where the declarations go: config.types, or tradux-keys.d.ts in src/ (if
+ * the project has one) or the project root.
+ */
+export function getKeyTypesPath(config, projectRoot = process.cwd()) {
+  if (config.types) return path.resolve(projectRoot, config.types);
+  const srcDir = path.join(projectRoot, "src");
+  return path.join(
+    fs.existsSync(srcDir) ? srcDir : projectRoot,
+    KEY_TYPES_FILENAME,
+  );
+}
+
+/** Writes the declarations and returns the file path. */
+export async function writeKeyTypes(filePath, source, sourceLabel) {
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.writeFile(filePath, buildKeyTypes(source, sourceLabel));
+  return filePath;
+}
+
+/**
+ * Keeps the declarations in sync after translate/update runs. Only does
+ * something once the project opted in — config.types is set or the file
+ * already exists — and never fails the run.
+ */
+export async function refreshKeyTypes(config, source) {
+  const filePath = getKeyTypesPath(config);
+  if (!config.types && !fs.existsSync(filePath)) return;
+  try {
+    await writeKeyTypes(filePath, source, describeSource(config));
+  } catch (e) {
+    logger.warn(`Could not update ${path.basename(filePath)}: ${e.message}`);
+  }
+}
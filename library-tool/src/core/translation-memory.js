@@ -0,0 +1,229 @@
+import fs from "fs-extra";
+import path from "path";
+
+/**
+ * translation-memory.js — Persistent Translation Memory
+ *
+ * Remembers every translation by source text, so a string that was already
+ * translated once is never sent to the API again — even if its key was
+ * renamed or moved. Stored in .tradux-tm.json at the project root, next to
+ * tradux.config.json — not in the i18n folder, which is often served:
+ *
+ *   {
+ *     "version": 1,
+ *     "entries": {
+ *       "en": { "es": { "Save": "Guardar", "menu\u0004Open": "Abrir" } }
+ *     }
+ *   }
+ *
+ * Entries are grouped by source language, then target language. When a key
+ * has a context note, the note is prefixed to the source text with the
+ * \u0004 separator (as gettext does with msgctxt), so the same English word
+ * can have different translations in different contexts.
+ */
+
+export const MEMORY_FILENAME = ".tradux-tm.json";
+const MEMORY_VERSION = 1;
+const CONTEXT_SEPARATOR = "\u0004";
+
+const emptyMemory = () => ({ version: MEMORY_VERSION, entries: {} });
+
+function isValidMemory(data) {
+  return (
+    data &&
+    typeof data === "object" &&
+    data.entries &&
+    typeof data.entries === "object"
+  );
+}
+
+/** Reads a memory file. Returns an empty memory if it's missing or corrupted. */
+export async function readMemoryFile(filePath) {
+  if (!fs.existsSync(filePath)) return emptyMemory();
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, "utf8"));
+    return isValidMemory(data) ? data : emptyMemory();
+  } catch (e) {
+    return emptyMemory();
+  }
+}
+
+export async function writeMemoryFile(filePath, memory) {
+  await fs.writeFile(filePath, JSON.stringify(memory, null, 2));
+}
+
+export const getMemoryPath = (projectRoot = process.cwd()) =>
+  path.join(projectRoot, MEMORY_FILENAME);
+
+export function loadMemory(projectRoot) {
+  return readMemoryFile(getMemoryPath(projectRoot));
+}
+
+export function saveMemory(memory, projectRoot) {
+  return writeMemoryFile(getMemoryPath(projectRoot), memory);
+}
+
+const memoryKey = (text, context) =>
+  context ? `${context}${CONTEXT_SEPARATOR}${text}` : text;
+
+/** Returns the source → translation map for a language pair, creating it if asked. */
+function getPair(memory, sourceLang, targetLang, create = false) {
+  if (!create) return memory.entries[sourceLang]?.[targetLang];
+  memory.entries[sourceLang] ??= {};
+  memory.entries[sourceLang][targetLang] ??= {};
+  return memory.entries[sourceLang][targetLang];
+}
+
+/**
+ * Splits a translation payload into what the memory already knows and what
+ * still needs the API. Strings are looked up one by one; arrays only count
+ * as a hit when every item does.
+ *
+ * Options:
+ *   contexts — dot-path → context note, for keys that have one
+ *   skip     — dot-paths that must always go to the API (e.g. +++ keys)
+ *
+ * Returns: { hits, misses, hitCount } — hits/misses keep the payload's nesting.
+ */
+export function applyMemory(
+  memory,
+  sourceLang,
+  targetLang,
+  payload,
+  { contexts = {}, skip = [] } = {},
+) {
+  const pair = getPair(memory, sourceLang, targetLang);
+  const skipped = new Set(skip);
+  let hitCount = 0;
+
+  const lookup = (text, keyPath) => {
+    const key = memoryKey(text, contexts[keyPath]);
+    return pair && Object.hasOwn(pair, key) ? pair[key] : undefined;
+  };
+
+  const walk = (data, prefix) => {
+    const hits = {};
+    const misses = {};
+    for (const key in data) {
+      const value = data[key];
+      const keyPath = prefix ? `${prefix}.${key}` : key;
+
+      if (skipped.has(keyPath)) {
+        misses[key] = value;
+      } else if (typeof value === "string") {
+        const cached = lookup(value, keyPath);
+        if (cached !== undefined) {
+          hits[key] = cached;
+          hitCount++;
+        } else {
+          misses[key] = value;
+        }
+      } else if (Array.isArray(value)) {
+        const cached = value.map((item, i) =>
+          typeof item === "string"
+            ? lookup(item, `${keyPath}.${i}`)
+            : undefined,
+        );
+        if (value.length > 0 && cached.every((item) => item !== undefined)) {
+          hits[key] = cached;
+          hitCount++;
+        } else {
+          misses[key] = value;
+        }
+      } else if (value && typeof value === "object") {
+        const nested = walk(value, keyPath);
+        if (Object.keys(nested.hits).length > 0) hits[key] = nested.hits;
+        if (Object.keys(nested.misses).length > 0) misses[key] = nested.misses;
+      } else {
+        misses[key] = value;
+      }
+    }
+    return { hits, misses };
+  };
+
+  return { ...walk(payload, ""), hitCount };
+}
+
+/**
+ * Stores every string translation found by walking source and translated
+ * data together. Values the model left identical to the source are skipped,
+ * so a failed translation never ends up cached.
+ *
+ * Returns the number of entries written.
+ */
+export function recordMemory(
+  memory,
+  sourceLang,
+  targetLang,
+  source,
+  translated,
+  { contexts = {} } = {},
+) {
+  let count = 0;
+  let pair = null;
+
+  const walk = (sourceValue, translatedValue, keyPath) => {
+    if (typeof sourceValue === "string") {
+      if (
+        typeof translatedValue === "string" &&
+        translatedValue !== sourceValue
+      ) {
+        pair ??= getPair(memory, sourceLang, targetLang, true);
+        pair[memoryKey(sourceValue, contexts[keyPath])] = translatedValue;
+        count++;
+      }
+      return;
+    }
+    if (!sourceValue || typeof sourceValue !== "object") return;
+    if (!translatedValue || typeof translatedValue !== "object") return;
+
+    for (const key of Object.keys(sourceValue)) {
+      if (key in translatedValue) {
+        walk(
+          sourceValue[key],
+          translatedValue[key],
+          keyPath ? `${keyPath}.${key}` : key,
+        );
+      }
+    }
+  };
+
+  walk(source, translated, "");
+  return count;
+}
+
+/**
+ * Merges entries from another memory into this one. Incoming entries win
+ * when both memories translate the same string differently.
+ *
+ * Returns: { added, updated }
+ */
+export function mergeMemory(memory, incoming) {
+  let added = 0;
+  let updated = 0;
+
+  for (const [sourceLang, targets] of Object.entries(incoming.entries)) {
+    for (const [targetLang, entries] of Object.entries(targets || {})) {
+      const pair = getPair(memory, sourceLang, targetLang, true);
+      for (const [key, translation] of Object.entries(entries || {})) {
+        if (typeof translation !== "string") continue;
+        if (!Object.hasOwn(pair, key)) added++;
+        else if (pair[key] !== translation) updated++;
+        pair[key] = translation;
+      }
+    }
+  }
+
+  return { added, updated };
+}
+
+/** Total number of stored translations, across all language pairs. */
+export function countMemoryEntries(memory) {
+  let total = 0;
+  for (const targets of Object.values(memory.entries)) {
+    for (const entries of Object.values(targets || {})) {
+      total += Object.keys(entries || {}).length;
+    }
+  }
+  return total;
+}
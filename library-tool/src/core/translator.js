@@ -4,14 +4,40 @@ import prompts from "prompts";
 import { logger } from "../utils/logger.js";
 import { printSummary } from "../utils/ui.js";
 import { availableLanguages as allLanguagesList } from "../utils/languages.js";
+import { canonicalizeLocale, getLocaleName } from "../utils/locale.js";
 import { validateAndFixConfig } from "../utils/config.js";
 import { fileManager } from "./file-manager.js";
-import { PROVIDER_ENV_MAP } from "../utils/providers.js";
+import { PROVIDER_ENV_MAP, TRANSPORTS } from "../utils/providers.js";
+import { translateObject } from "../proxy/provider-adapters.js";
+import { createPool, mapSettled, withRetry } from "../utils/pool.js";
+import { findIntegrityIssues } from "./validator.js";
+import {
+  loadMemory,
+  saveMemory,
+  applyMemory,
+  recordMemory,
+} from "./translation-memory.js";
+import {
+  loadGlossary,
+  selectGlossary,
+  findGlossaryViolations,
+} from "./glossary.js";
+import { loadContextNotes, selectContext } from "./context-notes.js";
+import { refreshKeyTypes } from "./key-types.js";
+import {
+  CONTEXT_PREFIX,
+  cleanKey,
+  isContextKey,
+  isForceTranslateKey,
+  isIgnoreKey,
+  isNoTranslateKey,
+} from "../utils/markers.js";
 
 /**
  * translator.js — AI Translation Engine
  *
- * Sends JSON content to a translation proxy for translation.
+ * Sends JSON content to a translation proxy for translation, or straight to
+ * the provider with `translation.transport: "direct"`.
  * Supports multiple providers (OpenRouter, OpenAI, Anthropic, Google, Cloudflare, Custom)
  * with automatic fallback if the primary provider fails.
  *
@@ -25,11 +51,23 @@ import { PROVIDER_ENV_MAP } from "../utils/providers.js";
  *   - On update, comparing the current source against that snapshot
  *   - Only sending changed/new keys to the API, then merging the result
  *   - Also removing keys from target files that no longer exist in the source
+ *
+ * Large payloads are split into token-sized batches by subtree (see
+ * translatePayload), so a single request never exceeds the model's output limit.
  */
 
 const DEFAULT_WORKER_URL =
   "https://worker-proxy.seth-eb4.workers.dev/api/translate-json";
 
+// Provider rate limits surface as HTTP 429 or as the provider's own message
+// relayed by the worker (OpenAI/OpenRouter "rate limit", Google "RESOURCE_EXHAUSTED").
+const RATE_LIMIT_PATTERN =
+  /\b429\b|rate.?limit|too many requests|resource.?exhausted/i;
+
+// Source tokens per request. Translations can run ~2x longer than the source
+// (e.g. CJK), so this leaves headroom under an 8k-token output limit.
+const DEFAULT_BATCH_TOKENS = 2000;
+
 /**
  * Resolves the worker proxy URL.
  * Priority: TRADUX_WORKER_URL env var → config.workerUrl → localhost fallback.
@@ -136,8 +174,14 @@ function resolveTranslationConfig(config) {
   }
 
   const credentials = getCredentials(provider);
+  const transport = TRANSPORTS.includes(t.transport) ? t.transport : "proxy";
   const workerUrl = getWorkerUrl(config);
 
+  const batch = {
+    maxTokens: positiveNumber(t.batch?.maxTokens, DEFAULT_BATCH_TOKENS),
+    concurrency: positiveNumber(t.batch?.concurrency, 1),
+  };
+
   const review = t.review?.enabled
     ? {
         enabled: true,
@@ -147,7 +191,24 @@ function resolveTranslationConfig(config) {
       }
     : null;
 
-  return { provider, model, baseURL, credentials, fallback, review, workerUrl };
+  return {
+    provider,
+    model,
+    baseURL,
+    credentials,
+    fallback,
+    review,
+    transport,
+    workerUrl,
+    batch,
+    concurrency: positiveNumber(t.concurrency, 1),
+    useMemory: t.memory !== false,
+  };
+}
+
+function positiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : fallback;
 }
 
 function getCredentials(provider) {
@@ -188,7 +249,7 @@ async function callReviewWorker(
   targetLang,
   txConfig,
 ) {
-  const { review, workerUrl } = txConfig;
+  const { review } = txConfig;
   const provider = review?.provider || txConfig.provider;
   const model = review?.model || txConfig.model;
   const baseURL = review?.baseURL || txConfig.baseURL;
@@ -197,50 +258,99 @@ async function callReviewWorker(
       ? getCredentials(review.provider)
       : txConfig.credentials;
 
-  const url = workerUrl || DEFAULT_WORKER_URL;
-  const response = await fetch(url, {
+  return retryOnRateLimit(
+    () =>
+      sendTranslationRequest(
+        {
+          data: { original: originalData, translation: translatedData },
+          sourceLanguage: sourceLang,
+          targetLanguage: targetLang,
+          reviewMode: true,
+          glossary: selectGlossary(txConfig.glossary, targetLang, originalData),
+          context: selectContext(txConfig.context, originalData),
+          provider,
+          model,
+          baseURL,
+          ...credentials,
+        },
+        txConfig,
+      ),
+    txConfig,
+  );
+}
+
+/**
+ * Sends one request body ({ data, sourceLanguage, targetLanguage, provider,
+ * ...credentials }) through the configured transport and resolves to the
+ * worker's response shape, { success, translatedData, missingKeys?, ... }.
+ *   proxy  — POSTs it to the worker proxy
+ *   direct — calls the provider from this machine with the same adapters the
+ *            worker uses, so API keys are only ever sent to the provider
+ */
+async function sendTranslationRequest(body, { transport, workerUrl }) {
+  if (transport === "direct") {
+    const { translatedData, missingKeys } = await translateObject(
+      body.data,
+      body.sourceLanguage,
+      body.targetLanguage,
+      body,
+    );
+    return {
+      success: true,
+      translatedData,
+      missingKeys,
+      originalLanguage: body.sourceLanguage,
+      targetLanguage: body.targetLanguage,
+    };
+  }
+
+  const response = await fetch(workerUrl || DEFAULT_WORKER_URL, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      data: { original: originalData, translation: translatedData },
-      sourceLanguage: sourceLang,
-      targetLanguage: targetLang,
-      reviewMode: true,
-      provider,
-      model,
-      baseURL,
-      ...credentials,
-    }),
+    body: JSON.stringify(body),
   });
 
   if (!response.ok) {
     const errorBody = await response.json().catch(() => ({}));
-    throw new Error(errorBody.error || `Review HTTP ${response.status}`);
+    throw new Error(
+      errorBody.error || `HTTP ${response.status}: ${response.statusText}`,
+    );
   }
+
   const result = await response.json();
-  if (!result.success) throw new Error(result.error || "Review failed");
+  if (!result.success) {
+    throw new Error(result.error || "Translation failed");
+  }
   return result;
 }
 
 /**
- * Calls the worker proxy with the given translation config.
+ * Calls the worker proxy (or the provider directly) with the given translation config.
  * If the primary provider fails and a fallback is configured, retries with it.
  */
 async function callWorker(data, sourceLang, targetLang, txConfig) {
-  const { provider, model, baseURL, credentials, fallback, workerUrl } =
-    txConfig;
+  const { provider, model, baseURL, credentials, fallback } = txConfig;
+  const extra = {
+    glossary: selectGlossary(txConfig.glossary, targetLang, data),
+    context: selectContext(txConfig.context, data),
+  };
 
   // Try primary provider
   try {
-    const result = await doWorkerCall(
-      data,
-      sourceLang,
-      targetLang,
-      provider,
-      model,
-      baseURL,
-      credentials,
-      workerUrl,
+    const result = await retryOnRateLimit(
+      () =>
+        doWorkerCall(
+          data,
+          sourceLang,
+          targetLang,
+          provider,
+          model,
+          baseURL,
+          credentials,
+          txConfig,
+          extra,
+        ),
+      txConfig,
     );
     return result;
   } catch (primaryError) {
@@ -259,19 +369,41 @@ async function callWorker(data, sourceLang, targetLang, txConfig) {
       throw primaryError;
     }
 
-    return doWorkerCall(
-      data,
-      sourceLang,
-      targetLang,
-      fallback.provider,
-      fallback.model,
-      fallback.baseURL,
-      fallback.credentials,
-      workerUrl,
+    return retryOnRateLimit(
+      () =>
+        doWorkerCall(
+          data,
+          sourceLang,
+          targetLang,
+          fallback.provider,
+          fallback.model,
+          fallback.baseURL,
+          fallback.credentials,
+          txConfig,
+          extra,
+        ),
+      txConfig,
     );
   }
 }
 
+/**
+ * Retries a worker call with exponential backoff when the provider
+ * rate-limits. Also backs off the shared language pool (if any) so
+ * fewer languages run in parallel from then on.
+ */
+function retryOnRateLimit(call, txConfig) {
+  return withRetry(call, {
+    isRetryable: (error) => RATE_LIMIT_PATTERN.test(error.message),
+    onRetry: (delay) => {
+      logger.warn(
+        `  Provider rate limit hit — retrying in ${(delay / 1000).toFixed(0)}s...`,
+      );
+      txConfig.pool?.backoff(delay);
+    },
+  });
+}
+
 async function doWorkerCall(
   data,
   sourceLang,
@@ -280,36 +412,23 @@ async function doWorkerCall(
   model,
   baseURL,
   credentials,
-  workerUrl,
+  txConfig,
+  extra = {},
 ) {
-  const url = workerUrl || DEFAULT_WORKER_URL;
   try {
-    const response = await fetch(url, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
+    return await sendTranslationRequest(
+      {
         data,
         sourceLanguage: sourceLang,
         targetLanguage: targetLang,
+        ...extra,
         provider,
         model,
         baseURL,
         ...credentials,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorBody = await response.json().catch(() => ({}));
-      const errorMsg =
-        errorBody.error || `HTTP ${response.status}: ${response.statusText}`;
-      throw new Error(`${errorMsg} (provider: ${provider}, model: ${model})`);
-    }
-
-    const result = await response.json();
-    if (!result.success) {
-      throw new Error(result.error || "Translation failed");
-    }
-    return result;
+      },
+      txConfig,
+    );
   } catch (error) {
     // Re-throw with enhanced context if not already enhanced
     if (!error.message.includes("provider:")) {
@@ -326,30 +445,48 @@ function parseLanguages(languages) {
   return languages
     .split(",")
     .map((lang) => lang.trim())
-    .filter(Boolean);
+    .filter(Boolean)
+    .map((lang) => canonicalizeLocale(lang) ?? lang);
+}
+
+/**
+ * True for a valid BCP 47 tag whose language is known — in Tradux's list
+ * (with or without region, "pt-BR" → "pt") or to Intl.
+ */
+function isSupportedLanguage(lang) {
+  const canonical = canonicalizeLocale(lang);
+  if (!canonical) return false;
+  const [base] = canonical.split("-");
+  return (
+    allLanguagesList.some((l) => l.value === canonical || l.value === base) ||
+    getLocaleName(base) !== null
+  );
 }
 
-/** Loads the default language JSON file (the "source of truth" for translations). */
+/**
+ * Loads the default language JSON (the "source of truth" for translations).
+ * In the namespaced layout this is every en/<namespace>.json, merged into
+ * { [namespace]: data } — see FileManager.loadLanguageData.
+ */
 async function loadSourceFile(config) {
   const i18nAbsolutePath = fileManager.getAbsoluteI18nPath(config.i18nPath);
-  const sourcePath = path.join(
-    i18nAbsolutePath,
-    `${config.defaultLanguage}.json`,
-  );
+  const sourceName = config.namespaces
+    ? `${config.defaultLanguage}/`
+    : `${config.defaultLanguage}.json`;
+  const sourcePath = path.join(i18nAbsolutePath, sourceName);
   if (!fileManager.exists(sourcePath)) {
     logger.error(`Source file not found: ${sourcePath}`);
     process.exit(1);
   }
 
-  const data = await fileManager.loadLanguageFile(
+  const data = await fileManager.loadLanguageData(
     i18nAbsolutePath,
     config.defaultLanguage,
+    config.namespaces,
   );
 
   if (!data) {
-    logger.error(
-      `\nFATAL ERROR: Could not parse ${config.defaultLanguage}.json`,
-    );
+    logger.error(`\nFATAL ERROR: Could not parse ${sourceName}`);
     logger.info(
       "\nThe file contains invalid JSON syntax (e.g., missing quotes or trailing commas).",
     );
@@ -361,57 +498,50 @@ async function loadSourceFile(config) {
 }
 
 // --- Marker Helpers ---
-// Users annotate key names in the source JSON with special prefixes or suffixes:
-//   "===keyName" or "keyName==="  → no-translate: copy the value as-is to every target file, never send to API
-//   "+++keyName" or "keyName+++"  → force-translate: always re-translate on every -u run, even if it already exists
-//   "---keyName" or "keyName---"  → ignore: never translate, never add to target files
+// ===, +++, --- and @ key markers are described in utils/markers.js.
 // Target files always use clean (unmarked) key names.
 
-const NO_TRANSLATE = "===";
-const FORCE_TRANSLATE = "+++";
-const IGNORE = "---";
-
-/** Returns true if the key name carries a marker prefix or suffix. */
-const isNoTranslateKey = (k) =>
-  k.startsWith(NO_TRANSLATE) || k.endsWith(NO_TRANSLATE);
-const isForceTranslateKey = (k) =>
-  k.startsWith(FORCE_TRANSLATE) || k.endsWith(FORCE_TRANSLATE);
-const isIgnoreKey = (k) => k.startsWith(IGNORE) || k.endsWith(IGNORE);
-
-/** Strips a marker prefix or suffix from a key name (e.g. "===heading" or "heading===" → "heading"). */
-const cleanKey = (k) => {
-  if (
-    k.startsWith(NO_TRANSLATE) ||
-    k.startsWith(FORCE_TRANSLATE) ||
-    k.startsWith(IGNORE)
-  )
-    return k.slice(3);
-  if (
-    k.endsWith(NO_TRANSLATE) ||
-    k.endsWith(FORCE_TRANSLATE) ||
-    k.endsWith(IGNORE)
-  )
-    return k.slice(0, -3);
-  return k;
-};
+/** Lists the clean dot-paths of every +++ key (force-translate) in the source. */
+function listForceTranslatePaths(data, prefix = "") {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return [];
+  const paths = [];
+  for (const key in data) {
+    if (isContextKey(key)) continue;
+    const keyPath = prefix ? `${prefix}.${cleanKey(key)}` : cleanKey(key);
+    if (isForceTranslateKey(key)) paths.push(keyPath);
+    else paths.push(...listForceTranslatePaths(data[key], keyPath));
+  }
+  return paths;
+}
 
 /**
- * Recursively splits source data into two parts:
- *   - forTranslation: everything except === and --- keys, with +++ markers stripped
+ * Recursively splits source data into three parts:
+ *   - forTranslation: everything except ===, --- and @ keys, with +++ markers stripped
  *   - noTranslate: only the === keys, with markers stripped (to be directly copied)
+ *   - context: @ notes as clean dot-path → note (see context-notes.js)
  * Keys marked with --- are dropped entirely — not sent to API, not added to target.
  */
-function separateTranslatables(data) {
+export function separateTranslatables(data, prefix = "") {
   if (Array.isArray(data)) {
-    return { forTranslation: data, noTranslate: null };
+    return { forTranslation: data, noTranslate: null, context: {} };
   }
   if (data && typeof data === "object") {
     const forTranslation = {};
     const noTranslate = {};
+    const context = {};
     for (const key in data) {
       const val = data[key];
       const ck = cleanKey(key);
 
+      // @ key: note for its sibling key — travels with the request only
+      if (isContextKey(key)) {
+        const noteKey = cleanKey(key.slice(CONTEXT_PREFIX.length));
+        if (typeof val === "string") {
+          context[prefix ? `${prefix}.${noteKey}` : noteKey] = val;
+        }
+        continue;
+      }
+
       if (isIgnoreKey(key)) continue; // --- key: drop entirely
 
       if (isNoTranslateKey(key)) {
@@ -423,10 +553,14 @@ function separateTranslatables(data) {
       if (typeof val === "string" || Array.isArray(val)) {
         forTranslation[ck] = val;
       } else if (val && typeof val === "object") {
-        const { forTranslation: ft, noTranslate: nt } =
-          separateTranslatables(val);
+        const {
+          forTranslation: ft,
+          noTranslate: nt,
+          context: notes,
+        } = separateTranslatables(val, prefix ? `${prefix}.${ck}` : ck);
         forTranslation[ck] = ft;
         if (nt && Object.keys(nt).length > 0) noTranslate[ck] = nt;
+        Object.assign(context, notes);
       } else {
         forTranslation[ck] = val;
       }
@@ -434,9 +568,19 @@ function separateTranslatables(data) {
     return {
       forTranslation,
       noTranslate: Object.keys(noTranslate).length > 0 ? noTranslate : null,
+      context,
     };
   }
-  return { forTranslation: data, noTranslate: null };
+  return { forTranslation: data, noTranslate: null, context: {} };
+}
+
+/**
+ * The source as target files see it: clean key names, with the === values
+ * merged back in and --- keys and @ notes dropped.
+ */
+export function getCleanSource(data) {
+  const { forTranslation, noTranslate } = separateTranslatables(data);
+  return noTranslate ? deepMerge(forTranslation, noTranslate) : forTranslation;
 }
 
 /**
@@ -457,6 +601,398 @@ function findDirectCopyUpdates(noTranslateData, existingData) {
   return updates;
 }
 
+// --- Batching ---
+// A payload is split into chunks of whole subtrees, each small enough to fit
+// in one request. Subtrees larger than the budget are split recursively, so
+// a chunk may look like { checkout: { step1: {...} } }. Arrays and strings
+// are never split.
+
+/** Rough token estimate for a JSON value (~4 characters per token). */
+function estimateTokens(value) {
+  return Math.ceil(JSON.stringify(value).length / 4);
+}
+
+/** Splits a payload into source-ordered chunks of at most ~maxTokens each. */
+export function chunkPayload(data, maxTokens) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return [data];
+
+  const chunks = [];
+  let current = {};
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (Object.keys(current).length > 0) chunks.push(current);
+    current = {};
+    currentTokens = 0;
+  };
+
+  for (const key in data) {
+    const value = data[key];
+    const tokens = estimateTokens({ [key]: value });
+
+    if (
+      tokens > maxTokens &&
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value)
+    ) {
+      flush();
+      for (const part of chunkPayload(value, maxTokens)) {
+        chunks.push({ [key]: part });
+      }
+      continue;
+    }
+
+    if (currentTokens + tokens > maxTokens) flush();
+    current[key] = value;
+    currentTokens += tokens;
+  }
+
+  flush();
+  return chunks;
+}
+
+/** Reassembles chunks (in any order) into one object. */
+export function mergeChunks(chunks) {
+  return chunks.reduce((acc, chunk) => deepMerge(acc, chunk), {});
+}
+
+// Key paths are carried as arrays of keys (["nav", "home"]), since source
+// keys may contain dots themselves; they are only joined for display.
+
+/** "nav.home" for ["nav", "home"]. */
+export const formatKeyPath = (keys) => keys.join(".");
+
+/** Lists the key paths of every leaf (string, array or scalar) in an object. */
+export function listLeafKeyPaths(data, prefix = []) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return prefix.length > 0 ? [prefix] : [];
+  }
+  const paths = [];
+  for (const key in data) {
+    paths.push(...listLeafKeyPaths(data[key], [...prefix, key]));
+  }
+  return paths;
+}
+
+/** Lists the dot-paths of every leaf, for display. */
+export const listLeafPaths = (data) =>
+  listLeafKeyPaths(data).map(formatKeyPath);
+
+/**
+ * The worker's missingKeys as key paths. Workers before 1.6 reported
+ * dot-joined strings, which are split as well as they can be.
+ */
+const toKeyPaths = (keys = []) =>
+  keys.map((key) => (typeof key === "string" ? key.split(".") : key));
+
+/** Removes duplicate key paths. */
+const uniqueKeyPaths = (paths) => [
+  ...new Map(paths.map((keys) => [JSON.stringify(keys), keys])).values(),
+];
+
+/**
+ * The object that holds the last key of `keys`, or undefined when the walk
+ * doesn't reach it.
+ */
+function getParent(data, keys) {
+  let current = data;
+  for (const key of keys.slice(0, -1)) {
+    current = current?.[key];
+    if (!current || typeof current !== "object") return undefined;
+  }
+  return current;
+}
+
+/** Copies just the given key paths out of an object, keeping its nesting. */
+export function pickPaths(data, paths) {
+  const result = {};
+  for (const keys of paths) {
+    const source = getParent(data, keys);
+    const finalKey = keys[keys.length - 1];
+    if (!source || !(finalKey in source)) continue;
+
+    let target = result;
+    for (const key of keys.slice(0, -1)) target = target[key] ??= {};
+    target[finalKey] = cloneValue(source[finalKey]);
+  }
+  return result;
+}
+
+/**
+ * Checks placeholders, HTML and links of every translated leaf against the
+ * source (see validator.js). Offending keys are re-sent once; keys still
+ * broken after that are dropped from the result so the next -u retries them.
+ *
+ * Returns: { translatedData, invalidKeys: [{ key, path, reason }] }, with
+ * `path` as an array of keys
+ */
+async function enforceIntegrity(
+  payload,
+  translatedData,
+  sourceLang,
+  targetLang,
+  txConfig,
+) {
+  const issues = findIntegrityIssues(payload, translatedData);
+  if (issues.length === 0) return { translatedData, invalidKeys: [] };
+
+  const paths = uniqueKeyPaths(issues.map((issue) => issue.path));
+  logger.warn(
+    `  ${issues.length} key(s) in ${targetLang} failed integrity checks, retrying...`,
+  );
+
+  let result = translatedData;
+  try {
+    const retryPayload = pickPaths(payload, paths);
+    const retried = await callWorker(
+      retryPayload,
+      sourceLang,
+      targetLang,
+      txConfig,
+    );
+    result = normalizeToSourceShape(
+      payload,
+      deepMerge(
+        result,
+        normalizeToSourceShape(retryPayload, retried.translatedData),
+      ),
+    );
+  } catch (error) {
+    logger.warn(`  Integrity retry failed: ${error.message}`);
+  }
+
+  const invalidKeys = findIntegrityIssues(payload, result);
+  const invalidPaths = uniqueKeyPaths(invalidKeys.map((issue) => issue.path));
+  return {
+    translatedData: removeObsoleteKeys(result, invalidPaths),
+    invalidKeys,
+  };
+}
+
+/**
+ * Translates a payload, answering from the translation memory first (see
+ * translation-memory.js) and sending only the remaining strings through
+ * translateBatches. New translations are recorded in the memory, and the
+ * result is checked against the glossary (see glossary.js).
+ *
+ * `forcePaths` lists dot-paths that always go to the API (+++ keys).
+ *
+ * Returns: { translatedData, reviewFixes, failedKeys, invalidKeys, memoryHits, glossaryIssues }
+ */
+async function translatePayload(
+  payload,
+  sourceLang,
+  targetLang,
+  txConfig,
+  forcePaths = [],
+) {
+  const { memory, glossary, context: contexts } = txConfig;
+  let hits = {};
+  let misses = payload;
+  let memoryHits = 0;
+
+  if (memory) {
+    ({
+      hits,
+      misses,
+      hitCount: memoryHits,
+    } = applyMemory(memory, sourceLang, targetLang, payload, {
+      contexts,
+      skip: forcePaths,
+    }));
+    if (memoryHits > 0) {
+      logger.info(
+        `  ${memoryHits} key(s) for ${targetLang} found in translation memory`,
+      );
+    }
+  }
+
+  let result = {
+    translatedData: {},
+    reviewFixes: null,
+    failedKeys: [],
+    invalidKeys: [],
+  };
+  if (Object.keys(misses).length > 0) {
+    result = await translateBatches(misses, sourceLang, targetLang, txConfig);
+    if (memory) {
+      // Never remember translations that break the glossary
+      const violations = findGlossaryViolations(
+        glossary,
+        targetLang,
+        misses,
+        result.translatedData,
+      ).map((issue) => issue.path);
+      recordMemory(
+        memory,
+        sourceLang,
+        targetLang,
+        misses,
+        removeObsoleteKeys(result.translatedData, violations),
+        { contexts },
+      );
+    }
+  }
+
+  const translatedData = normalizeToSourceShape(
+    payload,
+    deepMerge(hits, result.translatedData),
+  );
+  const glossaryIssues = findGlossaryViolations(
+    glossary,
+    targetLang,
+    payload,
+    translatedData,
+  );
+  if (glossaryIssues.length > 0) {
+    logger.warn(
+      `  ${glossaryIssues.length} key(s) in ${targetLang} don't follow the glossary`,
+    );
+  }
+
+  return { ...result, translatedData, memoryHits, glossaryIssues };
+}
+
+/**
+ * Sends the keys a reply left out (the worker's `missingKeys`, e.g. when the
+ * model hit its token limit) once more, on their own.
+ *
+ * Returns: { translated, missingKeys } — missingKeys are still missing after the retry
+ */
+async function retryMissingKeys(
+  chunk,
+  translated,
+  missingKeys,
+  sourceLang,
+  targetLang,
+  txConfig,
+) {
+  logger.warn(
+    `  ${missingKeys.length} key(s) for ${targetLang} were missing from the response, retrying them...`,
+  );
+  const retryPayload = pickPaths(chunk, missingKeys);
+  try {
+    const retried = await callWorker(
+      retryPayload,
+      sourceLang,
+      targetLang,
+      txConfig,
+    );
+    return {
+      translated: deepMerge(
+        translated,
+        normalizeToSourceShape(retryPayload, retried.translatedData),
+      ),
+      missingKeys: toKeyPaths(retried.missingKeys),
+    };
+  } catch (error) {
+    logger.warn(`  Retry of missing keys failed: ${error.message}`);
+    return { translated, missingKeys };
+  }
+}
+
+/**
+ * Translates a payload through the worker in batches, running the optional
+ * review step per batch. Batches that fail are left out of the result and
+ * their keys reported in `failedKeys`; it only throws if every batch failed.
+ * Keys missing from a batch's reply are retried once, then reported too
+ * (failedKeys are key paths, see listLeafKeyPaths).
+ * Translated keys that break placeholders, HTML or links are left out too
+ * and reported in `invalidKeys`.
+ *
+ * Returns: { translatedData, reviewFixes, failedKeys, invalidKeys }
+ */
+async function translateBatches(payload, sourceLang, targetLang, txConfig) {
+  const { maxTokens, concurrency } = txConfig.batch;
+  const chunks = chunkPayload(payload, maxTokens);
+
+  if (chunks.length > 1) {
+    logger.info(
+      `  Splitting ${targetLang} into ${chunks.length} batches (~${maxTokens} tokens each)...`,
+    );
+  }
+
+  const outcomes = await mapSettled(chunks, concurrency, async (chunk) => {
+    const result = await callWorker(chunk, sourceLang, targetLang, txConfig);
+    let translated = result.translatedData;
+    let missingKeys = toKeyPaths(result.missingKeys);
+    if (missingKeys.length > 0) {
+      ({ translated, missingKeys } = await retryMissingKeys(
+        chunk,
+        translated,
+        missingKeys,
+        sourceLang,
+        targetLang,
+        txConfig,
+      ));
+    }
+
+    // Optional quality review step — second pass with a review prompt
+    let reviewFixes = null;
+    if (txConfig.review?.enabled) {
+      logger.info(`  Reviewing ${targetLang} translation quality...`);
+      try {
+        const reviewed = await callReviewWorker(
+          chunk,
+          translated,
+          sourceLang,
+          targetLang,
+          txConfig,
+        );
+        // Count number of keys that changed during review
+        reviewFixes = countDiffKeys(translated, reviewed.translatedData);
+        // A cut-off review keeps the unreviewed text for the keys it lost
+        translated = deepMerge(translated, reviewed.translatedData);
+      } catch (err) {
+        logger.warn(`  Review step skipped: ${err.message}`);
+      }
+    }
+
+    return {
+      translated: normalizeToSourceShape(chunk, translated),
+      reviewFixes,
+      missingKeys,
+    };
+  });
+
+  const translatedChunks = [];
+  const failedKeys = [];
+  let reviewFixes = null;
+  let lastError = null;
+
+  outcomes.forEach((outcome, index) => {
+    if (outcome.status === "fulfilled") {
+      translatedChunks.push(outcome.value.translated);
+      failedKeys.push(...outcome.value.missingKeys);
+      if (outcome.value.reviewFixes != null) {
+        reviewFixes = (reviewFixes || 0) + outcome.value.reviewFixes;
+      }
+    } else {
+      lastError = outcome.reason;
+      failedKeys.push(...listLeafKeyPaths(chunks[index]));
+      if (chunks.length > 1) {
+        logger.warn(
+          `  Batch ${index + 1}/${chunks.length} for ${targetLang} failed: ${outcome.reason.message}`,
+        );
+      }
+    }
+  });
+
+  if (translatedChunks.length === 0 && lastError) throw lastError;
+
+  // Reassemble in source order, whatever order the batches finished in
+  const merged = mergeChunks(translatedChunks);
+  const { translatedData, invalidKeys } = await enforceIntegrity(
+    payload,
+    normalizeToSourceShape(payload, merged),
+    sourceLang,
+    targetLang,
+    txConfig,
+  );
+  return { translatedData, reviewFixes, failedKeys, invalidKeys };
+}
+
 // --- Full Translation Flow ---
 
 /**
@@ -493,22 +1029,24 @@ export async function translateFiles(languages, config) {
 
     const sourceFile = await loadSourceFile(config);
     let filesCreated = false;
-    const summaryResults = [];
     const wallStart = Date.now();
 
-    for (const lang of uniqueLanguages) {
-      const isValid = allLanguagesList.some((l) => l.value === lang);
+    await loadProjectResources(txConfig, config, i18nAbsolutePath, sourceFile);
+
+    // Languages run through a bounded pool (translation.concurrency / --concurrency)
+    txConfig.pool = createPool(txConfig.concurrency);
+    const translateOne = async (lang) => {
+      const isValid = isSupportedLanguage(lang);
       if (!isValid) {
         logger.error(
           `\nThe language code "${lang}" doesn't exist in Tradux. Skipping...`,
         );
-        summaryResults.push({
+        return {
           lang,
           status: "error",
           duration: 0,
           error: "unknown language code",
-        });
-        continue;
+        };
       }
 
       const langStart = Date.now();
@@ -521,23 +1059,27 @@ export async function translateFiles(languages, config) {
       const duration = Date.now() - langStart;
 
       if (result === false) {
-        summaryResults.push({ lang, status: "error", duration });
+        return { lang, status: "error", duration };
       } else if (result === "skipped") {
-        summaryResults.push({ lang, status: "skipped", duration });
-      } else {
-        filesCreated = true;
-        summaryResults.push({
-          lang,
-          status: "ok",
-          duration,
-          reviewFixes: result?.reviewFixes ?? null,
-        });
+        return { lang, status: "skipped", duration };
       }
-    }
+      filesCreated = true;
+      return toSummaryResult(lang, result, duration);
+    };
+    const outcomes = await mapSettled(
+      uniqueLanguages,
+      txConfig.pool,
+      translateOne,
+    );
+    const summaryResults = outcomes.map((outcome, index) =>
+      toSettledSummary(outcome, uniqueLanguages[index]),
+    );
 
     const totalMs = Date.now() - wallStart;
     await saveState(i18nAbsolutePath, sourceFile);
+    if (txConfig.memory) await saveMemory(txConfig.memory);
     if (filesCreated) await validateAndFixConfig(process.cwd(), true);
+    await refreshKeyTypes(config, getCleanSource(sourceFile));
 
     printSummary(summaryResults, totalMs);
   } catch (error) {
@@ -546,12 +1088,55 @@ export async function translateFiles(languages, config) {
   }
 }
 
+/**
+ * Loads what every request of a run draws from: the translation memory,
+ * the glossary and the per-key context notes.
+ */
+async function loadProjectResources(
+  txConfig,
+  config,
+  i18nAbsolutePath,
+  sourceFile,
+) {
+  if (txConfig.useMemory) {
+    txConfig.memory = await loadMemory();
+  }
+  txConfig.glossary = await loadGlossary(config, i18nAbsolutePath);
+  txConfig.context = await loadContextNotes(
+    config,
+    i18nAbsolutePath,
+    separateTranslatables(sourceFile).context,
+  );
+}
+
+/** Builds a printSummary() entry from a translateLanguage/updateLanguage result. */
+function toSummaryResult(lang, result, duration) {
+  const failedKeys = result?.failedKeys || [];
+  const invalidKeys = result?.invalidKeys || [];
+  return {
+    lang,
+    status: failedKeys.length + invalidKeys.length > 0 ? "partial" : "ok",
+    duration,
+    reviewFixes: result?.reviewFixes ?? null,
+    memoryHits: result?.memoryHits ?? 0,
+    glossaryIssues: result?.glossaryIssues || [],
+    failedKeys: failedKeys.map(formatKeyPath),
+    invalidKeys,
+  };
+}
+
+/** Unwraps a pool outcome into a summary entry, reporting unexpected errors. */
+function toSettledSummary(outcome, lang) {
+  if (outcome.status === "fulfilled") return outcome.value;
+  logger.error(`Failed to translate ${lang}: ${outcome.reason.message}`);
+  return { lang, status: "error", duration: 0, error: outcome.reason.message };
+}
+
 /** Sends the full source JSON to the worker proxy and writes the translated result. */
 async function translateLanguage(lang, sourceData, config, txConfig) {
   const i18nAbsolutePath = fileManager.getAbsoluteI18nPath(config.i18nPath);
-  const targetFile = path.join(i18nAbsolutePath, `${lang}.json`);
 
-  if (fileManager.exists(targetFile)) {
+  if (fileManager.languageExists(i18nAbsolutePath, lang)) {
     logger.warn(`\nSkipping existing translation: ${lang}`);
     return "skipped";
   }
@@ -563,30 +1148,8 @@ async function translateLanguage(lang, sourceData, config, txConfig) {
     const { forTranslation, noTranslate } = separateTranslatables(sourceData);
     const sourceLang = config.defaultLanguage;
 
-    const result = await callWorker(forTranslation, sourceLang, lang, txConfig);
-
-    // Optional quality review step — second pass with a review prompt
-    let translatedContent = result.translatedData;
-    let reviewFixes = null;
-    if (txConfig.review?.enabled) {
-      logger.info(`  Reviewing ${lang} translation quality...`);
-      try {
-        const reviewed = await callReviewWorker(
-          forTranslation,
-          translatedContent,
-          sourceLang,
-          lang,
-          txConfig,
-        );
-        // Count number of keys that changed during review
-        reviewFixes = countDiffKeys(translatedContent, reviewed.translatedData);
-        translatedContent = reviewed.translatedData;
-      } catch (err) {
-        logger.warn(`  Review step skipped: ${err.message}`);
-      }
-    }
-
-    translatedContent = normalizeToSourceShape(forTranslation, translatedContent);
+    const { translatedData: translatedContent, ...stats } =
+      await translatePayload(forTranslation, sourceLang, lang, txConfig);
 
     if (JSON.stringify(translatedContent) === JSON.stringify(forTranslation)) {
       logger.error(
@@ -600,9 +1163,22 @@ async function translateLanguage(lang, sourceData, config, txConfig) {
       ? deepMerge(translatedContent, noTranslate)
       : translatedContent;
 
-    await fs.writeFile(targetFile, JSON.stringify(finalData, null, 2));
-    logger.success(`\nTranslated ${lang}`);
-    return { ok: true, reviewFixes };
+    await fileManager.writeLanguageData(
+      i18nAbsolutePath,
+      lang,
+      finalData,
+      config.namespaces,
+    );
+    const skippedCount = stats.failedKeys.length + stats.invalidKeys.length;
+    if (skippedCount > 0) {
+      // Missing keys are picked up again by the next -u run
+      logger.warn(
+        `\nTranslated ${lang} partially — ${skippedCount} key(s) failed. Run -u ${lang} to retry them.`,
+      );
+    } else {
+      logger.success(`\nTranslated ${lang}`);
+    }
+    return { ok: true, ...stats };
   } catch (error) {
     logger.error(`Failed to translate ${lang}: ${error.message}`);
     return false;
@@ -647,24 +1223,28 @@ export async function updateLanguageFiles(languages, config) {
     const sourceFile = await loadSourceFile(config);
     const state = await loadState(i18nAbsolutePath);
     let filesCreatedOrUpdated = false;
-    const summaryResults = [];
+    const failedPaths = [];
     const wallStart = Date.now();
 
+    // Ask about missing language files up front, one at a time, so prompts
+    // never overlap with languages that are already translating in parallel.
+    const tasks = [];
     for (const lang of uniqueLanguages) {
       if (lang === config.defaultLanguage) continue;
 
-      const targetFile = path.join(i18nAbsolutePath, `${lang}.json`);
-
       // Language file doesn't exist yet — offer to create it
-      if (!fileManager.exists(targetFile)) {
-        const isValid = allLanguagesList.some((l) => l.value === lang);
+      if (!fileManager.languageExists(i18nAbsolutePath, lang)) {
+        const isValid = isSupportedLanguage(lang);
         if (!isValid) {
           logger.error(`The language code "${lang}" doesn't exist in Tradux.`);
-          summaryResults.push({
+          tasks.push({
             lang,
-            status: "error",
-            duration: 0,
-            error: "unknown language code",
+            result: {
+              lang,
+              status: "error",
+              duration: 0,
+              error: "unknown language code",
+            },
           });
           continue;
         }
@@ -677,37 +1257,44 @@ export async function updateLanguageFiles(languages, config) {
           message: `Do you want to translate your content to ${lang} now?`,
         });
 
-        if (response.translate) {
-          const langStart = Date.now();
-          const created = await translateLanguage(
-            lang,
-            sourceFile,
-            config,
-            txConfig,
-          );
-          const duration = Date.now() - langStart;
-          if (created && created !== false && created !== "skipped") {
-            filesCreatedOrUpdated = true;
-            summaryResults.push({
-              lang,
-              status: "ok",
-              duration,
-              reviewFixes: created?.reviewFixes ?? null,
-            });
-          } else {
-            summaryResults.push({
-              lang,
-              status: created === "skipped" ? "skipped" : "error",
-              duration,
-            });
-          }
-        } else {
-          summaryResults.push({ lang, status: "skipped", duration: 0 });
-        }
+        tasks.push(
+          response.translate
+            ? { lang, action: "create" }
+            : { lang, result: { lang, status: "skipped", duration: 0 } },
+        );
         continue;
       }
 
+      tasks.push({ lang, action: "update" });
+    }
+
+    await loadProjectResources(txConfig, config, i18nAbsolutePath, sourceFile);
+    txConfig.pool = createPool(txConfig.concurrency);
+    const outcomes = await mapSettled(tasks, txConfig.pool, async (task) => {
+      const { lang, action } = task;
+      if (task.result) return task.result;
+
       const langStart = Date.now();
+
+      if (action === "create") {
+        const created = await translateLanguage(
+          lang,
+          sourceFile,
+          config,
+          txConfig,
+        );
+        const duration = Date.now() - langStart;
+        if (created && created !== false && created !== "skipped") {
+          filesCreatedOrUpdated = true;
+          return toSummaryResult(lang, created, duration);
+        }
+        return {
+          lang,
+          status: created === "skipped" ? "skipped" : "error",
+          duration,
+        };
+      }
+
       const updated = await updateLanguage(
         lang,
         sourceFile,
@@ -718,15 +1305,27 @@ export async function updateLanguageFiles(languages, config) {
       const duration = Date.now() - langStart;
       if (updated) {
         filesCreatedOrUpdated = true;
-        summaryResults.push({ lang, status: "ok", duration });
-      } else {
-        summaryResults.push({ lang, status: "skipped", duration });
+        failedPaths.push(
+          ...updated.failedKeys,
+          ...updated.invalidKeys.map((issue) => issue.path),
+        );
+        return toSummaryResult(lang, updated, duration);
       }
-    }
+      return { lang, status: "skipped", duration };
+    });
+    const summaryResults = outcomes.map((outcome, index) =>
+      toSettledSummary(outcome, tasks[index].lang),
+    );
 
     const totalMs = Date.now() - wallStart;
-    await saveState(i18nAbsolutePath, sourceFile);
+    // Keys that failed keep their previous snapshot so the next -u retries them
+    await saveState(
+      i18nAbsolutePath,
+      withStaleEntries(sourceFile, state.sourceCache, failedPaths),
+    );
+    if (txConfig.memory) await saveMemory(txConfig.memory);
     if (filesCreatedOrUpdated) await validateAndFixConfig(process.cwd(), true);
+    await refreshKeyTypes(config, getCleanSource(sourceFile));
 
     printSummary(summaryResults, totalMs);
   } catch (error) {
@@ -742,13 +1341,13 @@ export async function updateLanguageFiles(languages, config) {
  */
 async function updateLanguage(lang, sourceData, config, txConfig, state) {
   const i18nAbsolutePath = fileManager.getAbsoluteI18nPath(config.i18nPath);
-  const targetFile = path.join(i18nAbsolutePath, `${lang}.json`);
 
   try {
     logger.info(`\nChecking updates for ${lang}...`);
-    const existingData = await fileManager.loadLanguageFile(
+    const existingData = await fileManager.loadLanguageData(
       i18nAbsolutePath,
       lang,
+      config.namespaces,
     );
 
     // Separate === (no-translate) values — they get directly copied, not sent to API
@@ -757,10 +1356,9 @@ async function updateLanguage(lang, sourceData, config, txConfig, state) {
       ? findDirectCopyUpdates(noTranslate, existingData)
       : null;
 
-    const missingContent = findMissingContent(
-      sourceData,
-      existingData,
-      state.sourceCache,
+    // New subtrees are copied whole, so strip their markers and @ notes too
+    const { forTranslation: missingContent } = separateTranslatables(
+      findMissingContent(sourceData, existingData, state.sourceCache),
     );
     const obsoleteKeys = findObsoleteContent(sourceData, existingData);
 
@@ -775,6 +1373,7 @@ async function updateLanguage(lang, sourceData, config, txConfig, state) {
     }
 
     let updatedData = { ...existingData };
+    let stats = { reviewFixes: null, failedKeys: [], invalidKeys: [] };
 
     if (hasObsoleteContent) {
       updatedData = removeObsoleteKeys(updatedData, obsoleteKeys);
@@ -784,35 +1383,26 @@ async function updateLanguage(lang, sourceData, config, txConfig, state) {
       logger.info(`Found missing/changed content in ${lang}, translating...`);
 
       const sourceLang = config.defaultLanguage;
-      const result = await callWorker(
+      if (txConfig.memory) {
+        // Learn from the existing file, so renamed keys hit the memory even
+        // in projects translated before it existed
+        recordMemory(
+          txConfig.memory,
+          sourceLang,
+          lang,
+          separateTranslatables(state.sourceCache).forTranslation,
+          existingData,
+          { contexts: txConfig.context },
+        );
+      }
+      let translatedContent;
+      ({ translatedData: translatedContent, ...stats } = await translatePayload(
         missingContent,
         sourceLang,
         lang,
         txConfig,
-      );
-
-      // Optional quality review step
-      let translatedContent = result.translatedData;
-      if (txConfig.review?.enabled) {
-        logger.info(`  Reviewing ${lang} translation quality...`);
-        try {
-          const reviewed = await callReviewWorker(
-            missingContent,
-            translatedContent,
-            sourceLang,
-            lang,
-            txConfig,
-          );
-          translatedContent = reviewed.translatedData;
-        } catch (err) {
-          logger.warn(`  Review step skipped: ${err.message}`);
-        }
-      }
-
-      translatedContent = normalizeToSourceShape(
-        missingContent,
-        translatedContent,
-      );
+        listForceTranslatePaths(sourceData),
+      ));
 
       if (
         JSON.stringify(translatedContent) === JSON.stringify(missingContent)
@@ -831,9 +1421,21 @@ async function updateLanguage(lang, sourceData, config, txConfig, state) {
       updatedData = deepMerge(updatedData, directCopyUpdates);
     }
 
-    await fs.writeFile(targetFile, JSON.stringify(updatedData, null, 2));
-    logger.success(`\nUpdated ${lang}`);
-    return true;
+    await fileManager.writeLanguageData(
+      i18nAbsolutePath,
+      lang,
+      updatedData,
+      config.namespaces,
+    );
+    const skippedCount = stats.failedKeys.length + stats.invalidKeys.length;
+    if (skippedCount > 0) {
+      logger.warn(
+        `\nUpdated ${lang} partially — ${skippedCount} key(s) failed and will be retried on the next -u run.`,
+      );
+    } else {
+      logger.success(`\nUpdated ${lang}`);
+    }
+    return { ok: true, ...stats };
   } catch (error) {
     logger.error(`Failed to update ${lang}: ${error.message}`);
     return false;
@@ -851,7 +1453,7 @@ async function updateLanguage(lang, sourceData, config, txConfig, state) {
  * Skips --- keys entirely (they are ignored and never appear in target files).
  * Returns a partial object containing only what needs to be translated.
  */
-function findMissingContent(source, target, cachedSource, path = "") {
+export function findMissingContent(source, target, cachedSource, path = "") {
   const missing = {};
   const safeTarget =
     typeof target === "object" && target !== null ? target : {};
@@ -864,6 +1466,7 @@ function findMissingContent(source, target, cachedSource, path = "") {
     const cachedVal = cachedSource?.[key] ?? cachedSource?.[ck];
 
     if (isIgnoreKey(key)) continue; // --- key: skip entirely
+    if (isContextKey(key)) continue; // @ key: translator note, not content
     if (isNoTranslateKey(key)) continue; // === key: handled via direct copy path
 
     // +++ key: always force re-translate
@@ -950,8 +1553,13 @@ function normalizeToSourceShape(sourceShape, value) {
       return cloneValue(value);
     }
 
+    // Source keys come first, in source order, then anything the model added
+    const keys = [
+      ...Object.keys(sourceShape).filter((key) => key in value),
+      ...Object.keys(value).filter((key) => !(key in sourceShape)),
+    ];
     const normalized = {};
-    for (const key in value) {
+    for (const key of keys) {
       normalized[key] = key in sourceShape
         ? normalizeToSourceShape(sourceShape[key], value[key])
         : cloneValue(value[key]);
@@ -1013,16 +1621,16 @@ function countDiffKeys(before, after, prefix = "") {
 /**
  * Finds keys in the target that no longer exist in the source,
  * OR whose source value is marked with --- (ignored — should not appear in targets).
- * Returns an array of dot-paths like ["nav.oldLink", "footer.removed"].
+ * Returns an array of key paths like [["nav", "oldLink"], ["footer", "removed"]].
  */
-function findObsoleteContent(source, target, path = "") {
+export function findObsoleteContent(source, target, path = []) {
   // Build a map from clean key → original (possibly marked) key in source
   const sourceKeyMap = {};
   for (const k in source) sourceKeyMap[cleanKey(k)] = k;
 
   const obsoleteKeys = [];
   for (const key in target) {
-    const currentPath = path ? `${path}.${key}` : key;
+    const currentPath = [...path, key];
     const sourceOrigKey = sourceKeyMap[key];
 
     if (!sourceOrigKey) {
@@ -1044,23 +1652,46 @@ function findObsoleteContent(source, target, path = "") {
   return obsoleteKeys;
 }
 
-/** Deletes the given dot-path keys from a deep-cloned copy of the data. */
-function removeObsoleteKeys(data, obsoleteKeys) {
+/** Deletes the given key paths from a deep-cloned copy of the data. */
+export function removeObsoleteKeys(data, obsoleteKeys) {
   const result = JSON.parse(JSON.stringify(data));
-  for (const keyPath of obsoleteKeys) {
-    const keys = keyPath.split(".");
+  for (const keys of obsoleteKeys) {
+    const parent = getParent(result, keys);
+    const finalKey = keys[keys.length - 1];
+    if (parent && Object.hasOwn(parent, finalKey)) delete parent[finalKey];
+  }
+  return result;
+}
+
+/**
+ * Returns a copy of the source snapshot where the given clean key paths
+ * keep their previously cached value (or are dropped if they had none).
+ * Used so keys whose translation failed still look "changed" on the next run.
+ */
+function withStaleEntries(sourceData, cachedSource, stalePaths) {
+  if (stalePaths.length === 0) return sourceData;
+
+  const result = cloneValue(sourceData);
+  for (const keys of uniqueKeyPaths(stalePaths)) {
     let current = result;
-    for (let i = 0; i < keys.length - 1; i++) {
-      if (current[keys[i]] && typeof current[keys[i]] === "object") {
-        current = current[keys[i]];
+    let cached = cachedSource;
+
+    for (let i = 0; i < keys.length; i++) {
+      if (!current || typeof current !== "object") break;
+      const actualKey = Object.keys(current).find(
+        (k) => cleanKey(k) === keys[i],
+      );
+      if (actualKey === undefined) break;
+      const cachedVal = cached?.[actualKey] ?? cached?.[keys[i]];
+
+      if (i === keys.length - 1) {
+        if (cachedVal === undefined) delete current[actualKey];
+        else current[actualKey] = cloneValue(cachedVal);
       } else {
-        break;
+        current = current[actualKey];
+        cached = cachedVal;
       }
     }
-    const finalKey = keys[keys.length - 1];
-    if (current && current.hasOwnProperty(finalKey)) {
-      delete current[finalKey];
-    }
   }
   return result;
 }
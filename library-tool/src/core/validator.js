@@ -0,0 +1,175 @@
+import { getMessageArguments } from "../utils/message-format.js";
+
+/**
+ * validator.js — Translation Integrity Checks
+ *
+ * Compares each translated leaf against its source leaf and reports what the
+ * model broke along the way:
+ *   - placeholders: {name}, {{name}} and ICU arguments must all survive
+ *   - HTML: the same tags must appear, and the translation must stay balanced
+ *   - links: markdown link targets and bare URLs must be unchanged
+ *
+ * Only leaves present in both objects are checked; missing keys are handled
+ * by the translate/update flows themselves.
+ */
+
+const TAG_PATTERN = /<\/?([a-zA-Z][\w-]*)\b[^<>]*?\/?>/g;
+const MARKDOWN_LINK_PATTERN = /\]\(\s*([^)\s]+)[^)]*\)/g;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"')\]]+/g;
+const VOID_TAGS = new Set([
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+]);
+
+// An apostrophe right before a placeholder escapes it in ICU: "L'{app}"
+// renders the literal text "{app}". Written as "L''{app}" it stays an argument.
+const ESCAPED_PLACEHOLDER_PATTERN = /(?<!')'\{\{?\s*([\w.-]+)\s*\}\}?/g;
+
+/** Names of the placeholders an apostrophe turned into plain text. */
+function getEscapedPlaceholders(text) {
+  return [...text.matchAll(ESCAPED_PLACEHOLDER_PATTERN)].map((m) => m[1]);
+}
+
+/**
+ * Sorted list of placeholder names, ICU arguments included. Escaped ones
+ * count too, so dropping "{app}" from "L'{app}" is still noticed.
+ */
+function getPlaceholders(text) {
+  const names = getMessageArguments(text).map((arg) => arg.name);
+  // Strings that aren't valid ICU can still carry {{legacy}} placeholders
+  if (names.length === 0) {
+    for (const match of text.matchAll(/\{\{\s*([\w.-]+)\s*\}\}/g)) {
+      names.push(match[1]);
+    }
+  }
+  return [...new Set([...names, ...getEscapedPlaceholders(text)])].sort();
+}
+
+/** Tag tokens like "<b>", "</b>", "<br/>" (attributes dropped, names lowercased). */
+function getTags(text) {
+  return [...text.matchAll(TAG_PATTERN)].map((match) => {
+    const name = match[1].toLowerCase();
+    if (match[0].startsWith("</")) return `</${name}>`;
+    if (match[0].endsWith("/>") || VOID_TAGS.has(name)) return `<${name}/>`;
+    return `<${name}>`;
+  });
+}
+
+/** True if every opening tag is closed in the right order. */
+function isBalanced(tags) {
+  const stack = [];
+  for (const tag of tags) {
+    if (tag.endsWith("/>")) continue;
+    if (tag.startsWith("</")) {
+      if (stack.pop() !== tag.slice(2, -1)) return false;
+    } else {
+      stack.push(tag.slice(1, -1));
+    }
+  }
+  return stack.length === 0;
+}
+
+function getUrls(text) {
+  const urls = [...text.matchAll(MARKDOWN_LINK_PATTERN)].map((m) => m[1]);
+  for (const match of text.matchAll(URL_PATTERN)) {
+    if (!urls.includes(match[0])) urls.push(match[0]);
+  }
+  return urls.sort();
+}
+
+const sameList = (a, b) =>
+  a.length === b.length && a.every((item, i) => item === b[i]);
+
+/** Returns the reasons a single translated string is invalid (empty if fine). */
+export function checkLeaf(source, translation) {
+  const reasons = [];
+
+  const sourcePlaceholders = getPlaceholders(source);
+  const translatedPlaceholders = getPlaceholders(translation);
+  if (!sameList(sourcePlaceholders, translatedPlaceholders)) {
+    const missing = sourcePlaceholders.filter(
+      (name) => !translatedPlaceholders.includes(name),
+    );
+    reasons.push(
+      missing.length > 0
+        ? `missing placeholder ${missing.map((n) => `{${n}}`).join(", ")}`
+        : "placeholders changed",
+    );
+  }
+
+  const sourceEscaped = getEscapedPlaceholders(source);
+  const newlyEscaped = getEscapedPlaceholders(translation).filter(
+    (name) => !sourceEscaped.includes(name),
+  );
+  if (newlyEscaped.length > 0) {
+    reasons.push(
+      `apostrophe escapes ${newlyEscaped.map((n) => `{${n}}`).join(", ")} (write '' instead)`,
+    );
+  }
+
+  const sourceTags = getTags(source);
+  const translatedTags = getTags(translation);
+  if (!sameList([...sourceTags].sort(), [...translatedTags].sort())) {
+    reasons.push("HTML tags changed");
+  } else if (isBalanced(sourceTags) && !isBalanced(translatedTags)) {
+    reasons.push("unbalanced HTML");
+  }
+
+  if (!sameList(getUrls(source), getUrls(translation))) {
+    reasons.push("link URLs changed");
+  }
+
+  return reasons;
+}
+
+/**
+ * Walks source and translation together and returns one issue per broken leaf:
+ *   { key: "nav.links.0", path: ["nav", "links"], reason: "link URLs changed" }
+ * `key` names the exact leaf for display; `path` holds the keys of the
+ * smallest unit that can be re-sent or dropped (arrays are handled as a whole).
+ */
+export function findIntegrityIssues(source, translated, prefix = [], unit) {
+  const issues = [];
+
+  if (typeof source === "string") {
+    if (typeof translated === "string") {
+      const reasons = checkLeaf(source, translated);
+      if (reasons.length > 0) {
+        issues.push({
+          key: prefix.join("."),
+          path: unit ?? prefix,
+          reason: reasons.join(", "),
+        });
+      }
+    }
+    return issues;
+  }
+
+  if (!source || typeof source !== "object") return issues;
+  if (!translated || typeof translated !== "object") return issues;
+
+  for (const key of Object.keys(source)) {
+    if (!(key in translated)) continue;
+    const keyPath = [...prefix, key];
+    issues.push(
+      ...findIntegrityIssues(
+        source[key],
+        translated[key],
+        keyPath,
+        unit ?? (Array.isArray(source[key]) ? keyPath : undefined),
+      ),
+    );
+  }
+  return issues;
+}
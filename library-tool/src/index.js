@@ -24,6 +24,11 @@ import { availableLanguages } from "./utils/languages.js";
 import { fileManager } from "./core/file-manager.js";
 
 import { runInitCommand } from "./commands/init.js";
+import { runCheckCommand } from "./commands/check.js";
+import { runTmExport, runTmImport } from "./commands/tm.js";
+import { runBuildCommand } from "./commands/build.js";
+import { runTypesCommand } from "./commands/types.js";
+import { runProxyServe } from "./commands/proxy.js";
 import {
   runInteractiveMenu,
   promptLanguages,
@@ -36,6 +41,7 @@ import {
   oc,
   promptReviewSettings,
   promptForProviderAndModel,
+  getLanguageLabel,
   BACK_SYMBOL,
 } from "./utils/prompt-helpers.js";
 
@@ -74,6 +80,50 @@ program
   .option("-i, --i18n-path <path>", "Path to i18n JSON directory")
   .action((opts) => runInitCommand(opts, packageJson.version));
 
+program
+  .command("check")
+  .description("Report missing, obsolete and untranslated keys (for CI)")
+  .option("--format <format>", "Output format: text, json or junit", "text")
+  .action((opts) => runCheckCommand(opts));
+
+const tm = program
+  .command("tm")
+  .description("Import or export the translation memory");
+tm.command("export <file>")
+  .description("Write the translation memory to a file")
+  .action((file) => runTmExport(file));
+tm.command("import <file>")
+  .description("Merge a translation memory file into this project")
+  .action((file) => runTmImport(file));
+
+program
+  .command("types")
+  .description("Generate TypeScript declarations for your translation keys")
+  .option("-o, --out <file>", "Output file (default: src/tradux-keys.d.ts)")
+  .action((opts) => runTypesCommand(opts));
+
+program
+  .command("build")
+  .description("Write sitemap.xml and hreflang.json for every language")
+  .option("-b, --base-url <url>", "Site origin, e.g. https://example.com")
+  .option("--routes <paths>", "Comma-separated routes to list", "/")
+  .option("-o, --out <dir>", "Output directory", "public")
+  .action((opts) => runBuildCommand(opts));
+
+const proxy = program
+  .command("proxy")
+  .description("Run the translation proxy on your own machine");
+proxy
+  .command("serve")
+  .description("Serve /api/translate-json with Node's http module")
+  .option("--port <port>", "Port to listen on", "8787")
+  .option("--host <host>", "Interface to bind, e.g. 0.0.0.0", "127.0.0.1")
+  .option(
+    "--allow-base-url <origins>",
+    "Comma-separated origins the custom provider may call",
+  )
+  .action((opts) => runProxyServe(opts));
+
 program
   .option("-t, --translate [languages]")
   .option("-u, --update [languages]")
@@ -85,6 +135,7 @@ program
   .option("-f, --fallback-provider [name]", "Set fallback provider")
   .option("-F, --fallback-model [name]", "Set fallback model")
   .option("-R, --review", "Enable translation review step")
+  .option("-c, --concurrency <n>", "Number of languages translated in parallel")
   .action(async (options) => {
     try {
       const args = process.argv.slice(2);
@@ -111,7 +162,21 @@ program
         options.defaultLang !== undefined ||
         options.fallbackProvider !== undefined ||
         options.fallbackModel !== undefined ||
-        options.review === true;
+        options.review === true ||
+        options.concurrency !== undefined;
+
+      let concurrency;
+      if (options.concurrency !== undefined) {
+        concurrency = Number(options.concurrency);
+        if (!Number.isInteger(concurrency) || concurrency < 1) {
+          p.log.error(
+            color.error(
+              `Invalid concurrency: ${options.concurrency}. Use a whole number of 1 or more.`,
+            ),
+          );
+          process.exit(1);
+        }
+      }
 
       // Evaluates flags without an action to persist configuration changes directly
       if (!hasAction && hasConfigFlags) {
@@ -154,10 +219,11 @@ program
             const langs = draft.availableLanguages?.length
               ? draft.availableLanguages
               : availableLanguages.map((l) => l.value);
-            const opts = langs.map((v) => {
-              const info = availableLanguages.find((al) => al.value === v);
-              return { value: v, label: info ? info.name : v, hint: v };
-            });
+            const opts = langs.map((v) => ({
+              value: v,
+              label: getLanguageLabel(v),
+              hint: v,
+            }));
             draft.defaultLanguage = oc(
               await p.select({
                 message: color.secondary("Source (default) language:\n"),
@@ -239,6 +305,10 @@ program
           else draft.translation.review = newReview;
         }
 
+        if (concurrency !== undefined) {
+          draft.translation.concurrency = concurrency;
+        }
+
         const finalConfig = { ...rawConfig, ...draft };
         fs.writeFileSync(configPath, JSON.stringify(finalConfig, null, 4));
         p.outro(color.success("Configuration successfully updated!"));
@@ -260,6 +330,10 @@ program
         if (typeof options.defaultLang === "string")
           cfg.defaultLanguage = options.defaultLang;
 
+        if (concurrency !== undefined) {
+          cfg.translation = { ...(cfg.translation || {}), concurrency };
+        }
+
         const hasTranslationOverride =
           options.provider !== undefined ||
           options.model !== undefined ||
@@ -443,9 +517,7 @@ program
             );
             finalLangs = languages
               .split(",")
-              .filter(
-                (l) => !fs.existsSync(path.join(i18nAbsPath, `${l}.json`)),
-              )
+              .filter((l) => !fileManager.languageExists(i18nAbsPath, l))
               .join(",");
           }
 
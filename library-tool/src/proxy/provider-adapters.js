@@ -0,0 +1,883 @@
+/**
+ * provider-adapters.js — LLM Provider Adapters
+ *
+ * Builds the translation and review prompts and calls each provider's own
+ * API. Shared by the proxy (proxy-handler.js) and the CLI's direct transport
+ * (`translation.transport: "direct"`), so it only relies on fetch and Intl
+ * and runs on Node and Cloudflare Workers alike.
+ *
+ * Entry point: translateObject(data, sourceLanguage, targetLanguage, params),
+ * where params is the worker's request body ({ provider, model, apiKey, ... }).
+ *
+ * Responses are constrained with each provider's structured output, using a
+ * JSON Schema built from the payload, so the model can't rename, add or drop
+ * keys. Endpoints that reject the schema are asked again without it.
+ */
+
+// --- Prompts ---
+
+/**
+ * Glossary rules for the prompt. `glossary` is already narrowed to the target
+ * language by the CLI: { doNotTranslate: ["Tradux"], terms: { checkout: "pago" } }.
+ */
+function buildGlossaryRules(glossary) {
+  const rules = [];
+  const doNotTranslate = Array.isArray(glossary?.doNotTranslate)
+    ? glossary.doNotTranslate.filter((t) => typeof t === "string")
+    : [];
+  const terms = Object.entries(glossary?.terms || {}).filter(
+    ([, translation]) => typeof translation === "string",
+  );
+
+  if (doNotTranslate.length > 0) {
+    rules.push(
+      `- Never translate these terms; keep them exactly as written: ${doNotTranslate.map((t) => JSON.stringify(t)).join(", ")}.`,
+    );
+  }
+  if (terms.length > 0) {
+    rules.push(
+      "- Glossary — always translate these terms exactly like this (inflect only if the grammar requires it):",
+    );
+    for (const [term, translation] of terms) {
+      rules.push(`  ${JSON.stringify(term)} → ${JSON.stringify(translation)}`);
+    }
+  }
+  return rules;
+}
+
+/**
+ * Translator notes for the prompt. `context` maps key dot-paths to notes,
+ * e.g. { "actions.save": "Button label, not about money" }.
+ */
+function buildContextRules(context) {
+  const notes = Object.entries(context || {}).filter(
+    ([, note]) => typeof note === "string",
+  );
+  if (notes.length === 0) return [];
+  return [
+    "- Translator notes for specific keys (dot-paths). Use them to choose the right meaning and tone; never include them in the output:",
+    ...notes.map(([keyPath, note]) => `  ${keyPath}: ${JSON.stringify(note)}`),
+  ];
+}
+
+/**
+ * Human-readable name for a BCP 47 tag, e.g. "pt-BR" → "Brazilian Portuguese (pt-BR)".
+ * Falls back to the tag itself when the runtime doesn't know it.
+ */
+function describeLanguage(tag) {
+  try {
+    const name = new Intl.DisplayNames(["en"], {
+      type: "language",
+      fallback: "none",
+    }).of(tag);
+    if (name) return `${name} (${tag})`;
+  } catch {}
+  return `"${tag}"`;
+}
+
+/**
+ * Regional or script variants (pt-BR vs pt-PT, zh-Hans vs zh-Hant) need an
+ * explicit rule — models otherwise drift towards the most common variant.
+ */
+function buildVariantRules(targetLanguage) {
+  if (typeof targetLanguage !== "string" || !targetLanguage.includes("-"))
+    return [];
+  return [
+    `- Write specifically for ${describeLanguage(targetLanguage)}: use its script, spelling, vocabulary, punctuation and conventions, not those of other variants of the language.`,
+  ];
+}
+
+// ICU reads '{ as an escape, so "L'{app}" would print "{app}" as plain text
+const APOSTROPHE_RULE =
+  "- Write an apostrophe directly before a placeholder as two apostrophes (L''{app}, not L'{app}), or ICU MessageFormat treats the placeholder as plain text.";
+
+function buildSystemPrompt(
+  sourceLanguage,
+  targetLanguage,
+  { glossary, context } = {},
+) {
+  return [
+    `You are a professional translator. Translate the JSON values from ${describeLanguage(sourceLanguage)} to ${describeLanguage(targetLanguage)}.`,
+    "Rules:",
+    "- Keep ALL JSON keys exactly the same — never translate or modify keys.",
+    "- Only translate the string values.",
+    "- Preserve the JSON structure (arrays, nested objects) exactly.",
+    "- Keep placeholders like {name} and {{name}} untouched.",
+    APOSTROPHE_RULE,
+    '- For ICU MessageFormat ({count, plural, ...}, {x, select, ...}, {n, selectordinal, ...}), keep the argument name, type and "#" as-is and translate only the text inside the branches. Use the plural categories (zero, one, two, few, many, other) the target language needs, always keeping "other" and any "=N" branches.',
+    "- Keep emojis in their original position.",
+    ...buildVariantRules(targetLanguage),
+    ...buildGlossaryRules(glossary),
+    ...buildContextRules(context),
+    "- Do NOT add any explanation, markdown fences, or extra text.",
+    "- Return ONLY the translated JSON object.",
+  ].join("\n");
+}
+
+function buildReviewPrompt(
+  sourceLanguage,
+  targetLanguage,
+  { glossary, context } = {},
+) {
+  return [
+    `You are a professional translation reviewer. You will receive a JSON with two keys: "original" (the source text in ${describeLanguage(sourceLanguage)}) and "translation" (a machine translation to ${describeLanguage(targetLanguage)}).`,
+    "Your task: review and improve the translation. Fix errors, unnatural phrasing, and inconsistencies.",
+    "Rules:",
+    "- Keep ALL JSON keys exactly the same — never modify keys.",
+    '- Only improve the translated string values inside "translation".',
+    "- Preserve the JSON structure exactly.",
+    "- Keep placeholders like {name} and {{name}} and the ICU MessageFormat structure untouched.",
+    APOSTROPHE_RULE,
+    "- Keep emojis in their original position.",
+    ...buildVariantRules(targetLanguage),
+    ...buildGlossaryRules(glossary),
+    ...buildContextRules(context),
+    "- Do NOT add any explanation, markdown fences, or extra text.",
+    '- Return ONLY the improved translation JSON (same structure as "translation", no wrapper).',
+  ].join("\n");
+}
+
+// --- Response Parsing ---
+// Models don't always return clean JSON: reasoning blocks, prose around the
+// object, single quotes, trailing commas, or output cut off at the token
+// limit. parseTranslation repairs what it can; from a truncated object it
+// keeps every key that was complete (translateObject reports the rest).
+
+const REASONING_TAGS = "think|thinking|reasoning";
+
+/** Drops <think>…</think> blocks, and everything before a lone closing tag. */
+export function stripReasoning(text) {
+  const withoutBlocks = text.replace(
+    new RegExp(`<(${REASONING_TAGS})>[\\s\\S]*?</\\1>`, "gi"),
+    "",
+  );
+  const closingTags = [
+    ...withoutBlocks.matchAll(new RegExp(`</(?:${REASONING_TAGS})>`, "gi")),
+  ];
+  const last = closingTags.at(-1);
+  return last
+    ? withoutBlocks.slice(last.index + last[0].length)
+    : withoutBlocks;
+}
+
+/**
+ * Index after the quoted string that starts at `start` (either quote
+ * character), or text.length when it never closes.
+ */
+function skipString(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === quote) return i + 1;
+  }
+  return text.length;
+}
+
+/**
+ * The JSON inside a markdown fence (closed or not) or, failing that, the
+ * outermost {...} object in the text. An object that never closes is
+ * returned up to the end of the text, for salvageTruncated.
+ */
+export function extractJSON(text) {
+  const fenceMatch = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  const body = (fenceMatch ? fenceMatch[1] : text).trim();
+
+  const start = body.indexOf("{");
+  if (start === -1) return body;
+  let depth = 0;
+  for (let i = start; i < body.length; i++) {
+    const char = body[i];
+    if (char === '"' || char === "'") {
+      i = skipString(body, i) - 1;
+    } else if (char === "{" || char === "[") {
+      depth++;
+    } else if (char === "}" || char === "]") {
+      depth--;
+      if (depth === 0) return body.slice(start, i + 1);
+    }
+  }
+  return body.slice(start);
+}
+
+/** Converts a single-quoted string literal to a double-quoted one. */
+function toDoubleQuoted(literal) {
+  const closed = literal.length > 1 && literal.endsWith("'");
+  const inner = literal.slice(1, closed ? -1 : undefined);
+  const converted = inner.replace(/\\'/g, "'").replace(/(^|[^\\])"/g, '$1\\"');
+  return `"${converted}${closed ? '"' : ""}`;
+}
+
+const UNQUOTED_KEY = /[A-Za-z_$][\w$-]*(?=\s*:)/y;
+
+/**
+ * Fixes common syntax errors outside of strings: single-quoted strings,
+ * unquoted keys, trailing commas and // or /* *\/ comments.
+ */
+export function repairJSON(text) {
+  let out = "";
+  let previous = ""; // last non-whitespace character written
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"' || char === "'") {
+      const end = skipString(text, i);
+      const literal = text.slice(i, end);
+      out += char === "'" ? toDoubleQuoted(literal) : literal;
+      previous = '"';
+      i = end;
+      continue;
+    }
+
+    if (char === "/" && text[i + 1] === "/") {
+      const newline = text.indexOf("\n", i);
+      i = newline === -1 ? text.length : newline;
+      continue;
+    }
+    if (char === "/" && text[i + 1] === "*") {
+      const close = text.indexOf("*/", i + 2);
+      i = close === -1 ? text.length : close + 2;
+      continue;
+    }
+
+    // A trailing comma, possibly followed by a comment that was dropped
+    if ((char === "}" || char === "]") && previous === ",") {
+      out = out.replace(/,(\s*)$/, "$1");
+    }
+
+    if (previous === "{" || previous === ",") {
+      UNQUOTED_KEY.lastIndex = i;
+      const key = UNQUOTED_KEY.exec(text);
+      if (key) {
+        out += JSON.stringify(key[0]);
+        previous = '"';
+        i += key[0].length;
+        continue;
+      }
+    }
+
+    out += char;
+    if (!/\s/.test(char)) previous = char;
+    i++;
+  }
+  return out;
+}
+
+/**
+ * Parses an object that was cut off mid-way: cuts it back to the last key
+ * that was complete and closes the open braces. Arrays are never cut, so a
+ * half-written array drops its whole key. Returns null if nothing is left.
+ */
+export function salvageTruncated(text) {
+  // Where the text can be cut: after each complete key outside of arrays,
+  // with the number of objects still open there
+  const cutPoints = [];
+  const stack = [];
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      i = skipString(text, i) - 1;
+    } else if (char === "{" || char === "[") {
+      stack.push(char);
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+    } else if (char === "," && !stack.includes("[")) {
+      cutPoints.push({ index: i, open: stack.length });
+    }
+  }
+  if (!stack.includes("[")) {
+    cutPoints.push({ index: text.length, open: stack.length });
+  }
+
+  // Most complete first
+  for (const { index, open } of cutPoints.reverse()) {
+    try {
+      const parsed = JSON.parse(text.slice(0, index) + "}".repeat(open));
+      if (parsed && typeof parsed === "object") return parsed;
+    } catch {}
+  }
+  return null;
+}
+
+const TRUNCATED_MESSAGE =
+  "LLM response was cut off at the token limit before any key was complete. Lower translation.batch.maxTokens.";
+
+/**
+ * Parses the model's reply into an object. `truncated` is set when the
+ * provider reports it stopped at the token limit.
+ */
+export function parseTranslation(
+  content,
+  reviewMode = false,
+  truncated = false,
+) {
+  if (!content) throw new Error("LLM returned an empty response.");
+
+  const json = extractJSON(stripReasoning(content));
+  let parsed;
+  for (const attempt of [
+    () => JSON.parse(json),
+    () => JSON.parse(repairJSON(json)),
+    () => salvageTruncated(repairJSON(json)),
+  ]) {
+    try {
+      parsed = attempt();
+      if (parsed != null) break;
+    } catch {}
+  }
+
+  if (parsed == null) {
+    throw new Error(
+      truncated
+        ? TRUNCATED_MESSAGE
+        : "Failed to parse translated JSON from LLM response.",
+    );
+  }
+
+  // Anti-wrapper safety net for Review Mode
+  if (reviewMode && typeof parsed === "object" && parsed.translation) {
+    return parsed.translation;
+  }
+
+  return parsed;
+}
+
+/**
+ * A tool call cut off at the token limit arrives as the partial input, whose
+ * last value may stop mid-string. Like salvageTruncated, this keeps only the
+ * keys before it (an array at the end is dropped whole).
+ */
+function salvageTruncatedInput(input) {
+  const result = structuredClone(input);
+  let parent = result;
+  for (;;) {
+    const lastKey = Object.keys(parent).at(-1);
+    if (lastKey === undefined) break;
+    const value = parent[lastKey];
+    if (
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      Object.keys(value).length > 0
+    ) {
+      parent = value;
+    } else {
+      delete parent[lastKey];
+      break;
+    }
+  }
+  if (findMissingKeys(result).length === 0) throw new Error(TRUNCATED_MESSAGE);
+  return result;
+}
+
+/**
+ * Key paths (arrays of keys, since keys may contain dots) of the leaves
+ * (strings, arrays, scalars) of `expected` that have no value in `actual`,
+ * e.g. the keys lost when a response was truncated.
+ */
+function findMissingKeys(expected, actual, prefix = []) {
+  if (!expected || typeof expected !== "object" || Array.isArray(expected)) {
+    return actual === undefined ? [prefix] : [];
+  }
+  const missing = [];
+  for (const key of Object.keys(expected)) {
+    missing.push(
+      ...findMissingKeys(
+        expected[key],
+        actual && typeof actual === "object" ? actual[key] : undefined,
+        [...prefix, key],
+      ),
+    );
+  }
+  return missing;
+}
+
+// --- Response Schemas ---
+
+/** Schema for the items of `array`: one shape, anyOf for mixed ones. */
+function buildItemsSchema(array) {
+  const schemas = new Map();
+  for (const item of array) {
+    const schema = buildResponseSchema(item);
+    schemas.set(JSON.stringify(schema), schema);
+  }
+  if (schemas.size === 0) return { type: "string" };
+  if (schemas.size === 1) return [...schemas.values()][0];
+  return { anyOf: [...schemas.values()] };
+}
+
+/**
+ * JSON Schema of a value with the same shape as `value`: every object key is
+ * required and no other keys are allowed, which is what OpenAI's strict mode
+ * expects. `{ nav: { home: "Home" } }` →
+ *   { type: "object", properties: { nav: { type: "object", ... } },
+ *     required: ["nav"], additionalProperties: false }
+ */
+export function buildResponseSchema(value) {
+  if (Array.isArray(value)) {
+    return { type: "array", items: buildItemsSchema(value) };
+  }
+  if (value && typeof value === "object") {
+    const properties = {};
+    for (const key of Object.keys(value)) {
+      properties[key] = buildResponseSchema(value[key]);
+    }
+    return {
+      type: "object",
+      properties,
+      required: Object.keys(properties),
+      additionalProperties: false,
+    };
+  }
+  if (value === null) return { type: "null" };
+  return { type: typeof value }; // "string", "number" or "boolean"
+}
+
+/**
+ * Gemini's responseSchema is an OpenAPI subset: upper-case types, no
+ * additionalProperties, and propertyOrdering to keep the keys in order. It
+ * rejects NULL types and OBJECTs without properties, so those are left out
+ * (a null member of anyOf makes the rest `nullable`). Returns null when
+ * nothing is left to constrain.
+ */
+export function toGeminiSchema(schema) {
+  if (schema.anyOf) {
+    const members = schema.anyOf.map(toGeminiSchema).filter(Boolean);
+    if (members.length === 0) return null;
+    if (members.length > 1) return { anyOf: members };
+    const nullable = schema.anyOf.some((member) => member.type === "null");
+    return nullable ? { ...members[0], nullable: true } : members[0];
+  }
+
+  if (schema.type === "null") return null;
+
+  if (schema.type === "object") {
+    const properties = {};
+    for (const [key, property] of Object.entries(schema.properties)) {
+      const converted = toGeminiSchema(property);
+      if (converted) properties[key] = converted;
+    }
+    const keys = Object.keys(properties);
+    if (keys.length === 0) return null;
+    return {
+      type: "OBJECT",
+      properties,
+      required: keys,
+      propertyOrdering: keys,
+    };
+  }
+
+  if (schema.type === "array") {
+    const items = toGeminiSchema(schema.items);
+    return items && { type: "ARRAY", items };
+  }
+
+  return { type: schema.type.toUpperCase() };
+}
+
+// Custom endpoints and older models may not support structured output, and
+// very large schemas exceed provider limits; those requests are sent again
+// without a schema.
+const SCHEMA_REJECTED_PATTERN =
+  /response_?format|json_?schema|response_?schema|input_?schema|structured|tool_?choice|\btools\b/i;
+
+const isSchemaRejected = (response, rawText) =>
+  (response.status === 400 || response.status === 422) &&
+  SCHEMA_REJECTED_PATTERN.test(rawText);
+
+/**
+ * Sends a request built by `buildBody(schema)`, first with the schema and,
+ * if the provider rejects it, once more without. Resolves to
+ * { response, rawText, schema } where `schema` is the one that was used.
+ */
+async function fetchWithSchema(url, init, buildBody, schema) {
+  // Provider APIs don't redirect, and following one could lead the proxy to
+  // an address its baseURL check refused
+  const send = (withSchema) =>
+    fetch(url, {
+      ...init,
+      redirect: "manual",
+      body: JSON.stringify(buildBody(withSchema)),
+    });
+
+  let response = await send(schema);
+  let rawText = await response.text();
+  if (schema && isSchemaRejected(response, rawText)) {
+    schema = null;
+    response = await send(null);
+    rawText = await response.text();
+  }
+  return { response, rawText, schema };
+}
+
+const parseJsonBody = (rawText, fallbackMessage) => {
+  try {
+    return JSON.parse(rawText);
+  } catch {
+    throw new Error(rawText.slice(0, 300) || fallbackMessage);
+  }
+};
+
+// --- Provider: OpenAI-compatible (OpenRouter, OpenAI, Copilot, Cloudflare, Custom) ---
+
+export const PROVIDER_BASE_URLS = {
+  openrouter: "https://openrouter.ai/api/v1",
+  openai: "https://api.openai.com/v1",
+  copilot: "https://api.githubcopilot.com",
+};
+
+export async function translateViaOpenAICompatible(
+  obj,
+  sourceLanguage,
+  targetLanguage,
+  apiKey,
+  model,
+  baseURL,
+  systemPrompt,
+  reviewMode,
+  schema = null,
+) {
+  // baseURL is always the API base (e.g. https://openrouter.ai/api/v1)
+  // we always append /chat/completions to form the final endpoint
+  const base = baseURL || PROVIDER_BASE_URLS.openrouter;
+  const url = `${base.replace(/\/+$/, "")}/chat/completions`;
+
+  // Copilot requires these editor identity headers or it returns a plain-text "Access to..." error
+  const isCopilot = base === PROVIDER_BASE_URLS.copilot;
+  const extraHeaders = isCopilot
+    ? {
+        "editor-version": "vscode/1.98.0",
+        "editor-plugin-version": "copilot-chat/0.26.0",
+        "openai-intent": "conversation-panel",
+      }
+    : {};
+
+  const {
+    response,
+    rawText,
+    schema: usedSchema,
+  } = await fetchWithSchema(
+    url,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "Content-Type": "application/json",
+        ...extraHeaders,
+      },
+    },
+    (withSchema) => ({
+      model: model || "gpt-3.5-turbo",
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: JSON.stringify(obj, null, 2) },
+      ],
+      temperature: 0.2,
+      ...(withSchema && {
+        response_format: {
+          type: "json_schema",
+          json_schema: {
+            name: "translation",
+            strict: true,
+            schema: withSchema,
+          },
+        },
+      }),
+    }),
+    schema,
+  );
+
+  const result = parseJsonBody(rawText, "Non-JSON response from provider");
+  if (!response.ok) {
+    const detail =
+      result.error?.metadata?.raw ||
+      result.error?.message ||
+      JSON.stringify(result.error);
+    throw new Error(detail || "Translation API call failed.");
+  }
+
+  // With a schema the response has the translation's shape, never a wrapper
+  const choice = result.choices?.[0];
+  return parseTranslation(
+    choice?.message?.content,
+    reviewMode && !usedSchema,
+    choice?.finish_reason === "length",
+  );
+}
+
+// --- Provider: Anthropic (Claude) — native Messages API ---
+// Structured output goes through a forced tool call: the translation is the
+// tool's input, validated against its input_schema.
+
+const ANTHROPIC_TOOL = "submit_translation";
+
+export async function translateViaAnthropic(
+  obj,
+  sourceLanguage,
+  targetLanguage,
+  apiKey,
+  model,
+  systemPrompt,
+  reviewMode,
+  schema = null,
+) {
+  const {
+    response,
+    rawText,
+    schema: usedSchema,
+  } = await fetchWithSchema(
+    "https://api.anthropic.com/v1/messages",
+    {
+      method: "POST",
+      headers: {
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        "Content-Type": "application/json",
+      },
+    },
+    (withSchema) => ({
+      model: model || "claude-sonnet-4-20250514",
+      max_tokens: 8192,
+      system: systemPrompt,
+      messages: [{ role: "user", content: JSON.stringify(obj, null, 2) }],
+      temperature: 0.2,
+      ...(withSchema && {
+        tools: [
+          {
+            name: ANTHROPIC_TOOL,
+            description: "Submit the translated JSON object.",
+            input_schema: withSchema,
+          },
+        ],
+        tool_choice: { type: "tool", name: ANTHROPIC_TOOL },
+      }),
+    }),
+    schema,
+  );
+
+  const result = parseJsonBody(rawText, "Anthropic translation failed.");
+  if (!response.ok) {
+    throw new Error(
+      result.error?.message ||
+        JSON.stringify(result.error) ||
+        "Anthropic translation failed.",
+    );
+  }
+  const toolUse = result.content?.find(
+    (block) => block.type === "tool_use" && block.name === ANTHROPIC_TOOL,
+  );
+  const truncated = result.stop_reason === "max_tokens";
+  if (usedSchema && toolUse?.input) {
+    return truncated ? salvageTruncatedInput(toolUse.input) : toolUse.input;
+  }
+
+  const text = result.content?.find((block) => block.type === "text")?.text;
+  return parseTranslation(text, reviewMode && !usedSchema, truncated);
+}
+
+// --- Provider: Google Gemini — native generateContent API ---
+
+export async function translateViaGoogle(
+  obj,
+  sourceLanguage,
+  targetLanguage,
+  apiKey,
+  model,
+  systemPrompt,
+  reviewMode,
+  schema = null,
+) {
+  const modelId = model || "gemini-2.0-flash";
+  const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelId}:generateContent?key=${apiKey}`;
+  const geminiSchema = schema && toGeminiSchema(schema);
+
+  const {
+    response,
+    rawText,
+    schema: usedSchema,
+  } = await fetchWithSchema(
+    url,
+    { method: "POST", headers: { "Content-Type": "application/json" } },
+    (withSchema) => ({
+      system_instruction: { parts: [{ text: systemPrompt }] },
+      contents: [{ parts: [{ text: JSON.stringify(obj, null, 2) }] }],
+      generationConfig: {
+        temperature: 0.2,
+        responseMimeType: "application/json",
+        ...(withSchema && { responseSchema: withSchema }),
+      },
+    }),
+    geminiSchema,
+  );
+
+  const result = parseJsonBody(rawText, "Google Gemini translation failed.");
+  if (!response.ok) {
+    throw new Error(
+      result.error?.message ||
+        JSON.stringify(result.error) ||
+        "Google Gemini translation failed.",
+    );
+  }
+  const candidate = result.candidates?.[0];
+  return parseTranslation(
+    candidate?.content?.parts?.[0]?.text,
+    reviewMode && !usedSchema,
+    candidate?.finishReason === "MAX_TOKENS",
+  );
+}
+
+// --- Provider Dispatcher ---
+
+/** Calls the adapter for params.provider and resolves to the parsed reply. */
+function callProvider(
+  data,
+  sourceLanguage,
+  targetLanguage,
+  params,
+  systemPrompt,
+  schema,
+) {
+  const { provider, model, apiKey, apiToken, accountId, baseURL, reviewMode } =
+    params;
+
+  switch (provider) {
+    case "cloudflare":
+      if (!accountId)
+        throw new Error("Cloudflare provider requires an accountId.");
+      return translateViaOpenAICompatible(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiToken,
+        model || "@cf/minimax/m2.7",
+        `https://api.cloudflare.com/client/v4/accounts/${accountId}/ai/v1`,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+    case "openai":
+      return translateViaOpenAICompatible(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiKey,
+        model,
+        PROVIDER_BASE_URLS.openai,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+
+    case "copilot":
+      return translateViaOpenAICompatible(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiKey,
+        model,
+        PROVIDER_BASE_URLS.copilot,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+
+    case "anthropic":
+      return translateViaAnthropic(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiKey,
+        model,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+
+    case "google":
+      return translateViaGoogle(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiKey,
+        model,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+
+    case "custom":
+      if (!baseURL) throw new Error("Custom provider requires a baseURL.");
+      return translateViaOpenAICompatible(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiKey,
+        model,
+        baseURL,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+
+    case "openrouter":
+    default:
+      return translateViaOpenAICompatible(
+        data,
+        sourceLanguage,
+        targetLanguage,
+        apiKey || apiToken,
+        model,
+        PROVIDER_BASE_URLS.openrouter,
+        systemPrompt,
+        reviewMode,
+        schema,
+      );
+  }
+}
+
+/**
+ * Translates (or, with params.reviewMode, reviews) `data` with the provider
+ * named in params. Provider errors are thrown with the provider's own message.
+ *
+ * Returns: { translatedData, missingKeys } — missingKeys lists the key paths
+ * (e.g. [["nav", "home"]]) the reply didn't include (e.g. cut off at the
+ * token limit), so the caller can retry just those. It throws if none of the
+ * keys came back.
+ */
+export async function translateObject(
+  data,
+  sourceLanguage,
+  targetLanguage,
+  params,
+) {
+  const { reviewMode, glossary, context } = params;
+
+  const systemPrompt = reviewMode
+    ? buildReviewPrompt(sourceLanguage, targetLanguage, { glossary, context })
+    : buildSystemPrompt(sourceLanguage, targetLanguage, { glossary, context });
+
+  // The response has the shape of what is being translated (in review mode,
+  // of the translation being improved); providers need an object at the root
+  const expected = reviewMode ? data?.translation : data;
+  const isObject =
+    expected && typeof expected === "object" && !Array.isArray(expected);
+  const schema = isObject ? buildResponseSchema(expected) : null;
+
+  const translatedData = await callProvider(
+    data,
+    sourceLanguage,
+    targetLanguage,
+    params,
+    systemPrompt,
+    schema,
+  );
+
+  const missingKeys = isObject ? findMissingKeys(expected, translatedData) : [];
+  if (
+    missingKeys.length > 0 &&
+    missingKeys.length === findMissingKeys(expected).length
+  ) {
+    throw new Error("LLM response did not contain any of the requested keys.");
+  }
+  return { translatedData, missingKeys };
+}
@@ -0,0 +1,17 @@
+export interface ProxyHandlerOptions {
+    /**
+     * Returns an error message for a custom provider baseURL the host won't
+     * call, or null. `tradux proxy serve` uses it to keep requests off
+     * private networks; the Worker leaves that to the Cloudflare runtime.
+     */
+    checkBaseURL?: (baseURL: string | undefined) => Promise<string | null> | string | null;
+}
+
+/** The translation endpoint: POST { data, targetLanguage, provider, ... }. */
+export declare const PROXY_ENDPOINT: '/api/translate-json';
+
+/**
+ * The translation proxy as a Fetch API handler, as run by the Cloudflare
+ * Worker and `tradux proxy serve`.
+ */
+export function handleProxyRequest(request: Request, options?: ProxyHandlerOptions): Promise<Response>;
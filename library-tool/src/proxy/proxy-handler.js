@@ -0,0 +1,137 @@
+/**
+ * proxy-handler.js — Translation Proxy Handler
+ *
+ * The `/api/translate-json` endpoint as a Fetch API handler: Request in,
+ * Response out. The Cloudflare Worker (worker-proxy/src/index.js) exports it
+ * as its `fetch` handler, and `tradux proxy serve` hosts it on Node's http
+ * module, so a self-hosted proxy speaks exactly the same contract.
+ *
+ * POST /api/translate-json
+ *   body:     { data, targetLanguage, sourceLanguage?, provider, model?, baseURL?,
+ *               reviewMode?, glossary?, context?, apiKey | apiToken, accountId? }
+ *   response: { success: true, translatedData, missingKeys?, originalLanguage, targetLanguage }
+ *             { success: false, error }
+ *
+ * missingKeys lists the key paths of `data` the model didn't return, as arrays
+ * of keys (e.g. [["nav", "home"]]) — e.g. its reply was cut off at the token
+ * limit; translatedData has all the others.
+ */
+
+import { translateObject } from "./provider-adapters.js";
+
+export const PROXY_ENDPOINT = "/api/translate-json";
+
+// CORS headers so the proxy can be called from any origin
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: corsHeaders });
+
+/**
+ * Checks the provider and its credentials. Returns the error message for a
+ * 400 response, or null when the request can be sent to the provider.
+ */
+function validateCredentials({ provider, apiKey, apiToken, accountId }) {
+  if (!provider || provider === "provider_code") {
+    return "A valid translation provider is required.";
+  }
+  if (provider === "cloudflare" && (!apiToken || !accountId)) {
+    return "Cloudflare provider requires apiToken and accountId.";
+  }
+  if (provider !== "cloudflare" && !apiKey && !apiToken) {
+    return `Provider "${provider}" requires an apiKey (or GITHUB_TOKEN for copilot).`;
+  }
+  return null;
+}
+
+async function handleTranslate(request, options) {
+  if (request.method !== "POST") {
+    return jsonResponse({ success: false, error: "Method not allowed" }, 405);
+  }
+
+  try {
+    const body = await request.json();
+    const { data, targetLanguage, sourceLanguage } = body;
+
+    if (!data || !targetLanguage) {
+      return jsonResponse(
+        {
+          success: false,
+          error:
+            "Missing required parameters: data and targetLanguage are required.",
+        },
+        400,
+      );
+    }
+
+    const credentialsError = validateCredentials(body);
+    if (credentialsError) {
+      return jsonResponse({ success: false, error: credentialsError }, 400);
+    }
+
+    if (body.provider === "custom" && options.checkBaseURL) {
+      const baseURLError = await options.checkBaseURL(body.baseURL);
+      if (baseURLError) {
+        return jsonResponse({ success: false, error: baseURLError }, 403);
+      }
+    }
+
+    const { translatedData, missingKeys } = await translateObject(
+      data,
+      sourceLanguage || "en",
+      targetLanguage,
+      body,
+    );
+
+    return jsonResponse({
+      success: true,
+      translatedData,
+      ...(missingKeys.length > 0 && { missingKeys }),
+      originalLanguage: sourceLanguage || "en",
+      targetLanguage,
+    });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * Handles one request to the proxy. The Worker relies on the Cloudflare
+ * runtime to keep requests off private networks; other hosts pass
+ * `options.checkBaseURL(baseURL)`, which returns an error message for a
+ * custom provider baseURL they won't call, or null.
+ */
+export async function handleProxyRequest(request, options = {}) {
+  // Handle CORS preflight requests
+  if (request.method === "OPTIONS") {
+    return new Response(null, { status: 200, headers: corsHeaders });
+  }
+
+  const url = new URL(request.url);
+
+  if (url.pathname === PROXY_ENDPOINT) {
+    return handleTranslate(request, options);
+  }
+
+  // Informational endpoint for the API
+  if (url.pathname.startsWith("/api/")) {
+    return jsonResponse({
+      name: "Tradux Translation Proxy API",
+      endpoints: [PROXY_ENDPOINT],
+      providers: [
+        "openrouter",
+        "openai",
+        "anthropic",
+        "google",
+        "cloudflare",
+        "custom",
+      ],
+    });
+  }
+
+  return new Response(null, { status: 404, headers: corsHeaders });
+}
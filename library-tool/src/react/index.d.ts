@@ -1,9 +1,13 @@
-import { TranslationProxy, LanguageOption } from '../client.js';
+import { Translations, LanguageOption } from '../client.js';
 
 export function useTradux(): {
-    t: TranslationProxy;
+    t: Translations;
     currentLanguage: string;
     isReady: boolean;
     setLanguage: (language: string, serverContext?: any) => Promise<boolean>;
     getAvailableLanguages: () => LanguageOption[];
-};
\ No newline at end of file
+    loadNamespace: (...namespaces: string[]) => Promise<boolean>;
+};
+
+/** Loads lazy namespaces on mount; true once they are available. */
+export function useNamespace(...namespaces: string[]): boolean;
\ No newline at end of file
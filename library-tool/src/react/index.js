@@ -5,6 +5,7 @@
  * Uses a module-level cache so that when multiple components call the hook,
  * only the first triggers an async init — the rest get instant values.
  * Listens for cross-component language changes via the traduxEvents system.
+ * `useNamespace()` fetches lazy namespaces (see preloadNamespaces) on mount.
  */
 
 import { useState, useEffect } from "react";
@@ -12,7 +13,9 @@ import {
   initTradux,
   setLanguage as coreSetLanguage,
   getAvailableLanguages,
+  loadNamespace,
   onLanguageChange,
+  onTranslationsLoad,
 } from "../client.js";
 
 // Shared across all hook instances so subsequent mounts are instant.
@@ -45,8 +48,9 @@ export function useTradux() {
     // Sync on every mount (handles Vite/React Strict Mode double-mount)
     syncState();
 
-    // Re-sync when any component calls setLanguage()
+    // Re-sync when any component calls setLanguage() or new translations load
     onLanguageChange(syncState);
+    onTranslationsLoad(syncState);
 
     return () => {
       mounted = false;
@@ -59,5 +63,28 @@ export function useTradux() {
     isReady: state.isReady,
     setLanguage: coreSetLanguage,
     getAvailableLanguages,
+    loadNamespace,
   };
 }
+
+/**
+ * Loads lazy namespaces when the component mounts. Returns true once they
+ * are available — `t` re-renders with them through useTradux().
+ */
+export function useNamespace(...namespaces) {
+  const [isLoaded, setIsLoaded] = useState(false);
+  const key = namespaces.join(",");
+
+  useEffect(() => {
+    let mounted = true;
+    setIsLoaded(false);
+    loadNamespace(...namespaces).then((loaded) => {
+      if (mounted) setIsLoaded(loaded);
+    });
+    return () => {
+      mounted = false;
+    };
+  }, [key]);
+
+  return isLoaded;
+}
@@ -0,0 +1,30 @@
+import { Translations, RequestLike } from '../client.js';
+
+export interface TraduxRequestOptions {
+    /** Query parameter that selects the language (default "lang"); false to disable. */
+    queryParam?: string | false;
+    /** Read the language from the first path segment (/es/about) or subdomain (default: when config.routing is set). */
+    pathPrefix?: boolean;
+}
+
+export type LanguageSource = 'query' | 'path' | 'cookie' | 'header' | 'default';
+
+export interface RequestTradux {
+    t: Translations;
+    readonly currentLanguage: string;
+    setLanguage: (language: string) => Promise<boolean>;
+    loadNamespace: (...namespaces: string[]) => Promise<boolean>;
+    loadFallbacks: () => Promise<void>;
+    /** Where the language came from. */
+    source: LanguageSource;
+    /** Content-Language, plus Set-Cookie when the language differs from the request's cookie. */
+    getResponseHeaders(): Record<string, string>;
+    /** Writes those headers to a Fetch Response, Node/Express response or Hono context. */
+    applyToResponse<T>(response: T): T;
+}
+
+/**
+ * Creates an isolated Tradux instance for a request: a Fetch Request, Node/Express
+ * request, Hono context, Astro context or SvelteKit event.
+ */
+export function createTraduxFromRequest(request: RequestLike | { request: Request } | { req: { raw: Request } }, options?: TraduxRequestOptions): Promise<RequestTradux>;
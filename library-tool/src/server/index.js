@@ -0,0 +1,183 @@
+/**
+ * Server adapter for Tradux.
+ *
+ * `createTraduxFromRequest()` turns an incoming request into an isolated
+ * Tradux instance. It accepts whatever the framework hands you:
+ *   - a Fetch API Request (Remix, Next.js route handlers, Workers...)
+ *   - a Node IncomingMessage or Express request
+ *   - a Hono context (`c`), an Astro context/global or a SvelteKit event
+ *
+ * The language is picked from, in order: the `?lang=` query parameter, a
+ * path prefix (/es/about) or subdomain when config.routing is set, the
+ * tradux_lang cookie, Accept-Language and finally defaultLanguage. `applyToResponse()` then writes Content-Language
+ * and, when the language changed, the Set-Cookie header. The result works
+ * with serializeTraduxState() like any other instance.
+ */
+
+import { initTradux, getTraduxConfig, getLanguageFromPath } from "../client.js";
+import { negotiateLanguage, parseAcceptLanguage } from "../utils/locale.js";
+import {
+  getRequestUrl,
+  readRequestHeaders,
+  serializeLanguageCookie,
+} from "../utils/request.js";
+
+/** Extracts { headers, url } from the supported request shapes. */
+function normalizeRequest(input) {
+  // Astro (Astro global / APIContext) and SvelteKit events wrap a Fetch Request,
+  // a Hono context has it at c.req.raw; otherwise it's a Fetch Request or a
+  // Node/Express request
+  let request = input;
+  if (typeof input?.request?.headers?.get === "function") {
+    request = input.request;
+  } else if (typeof input?.req?.raw?.headers?.get === "function") {
+    request = input.req.raw;
+  }
+  return {
+    headers: request?.headers || {},
+    url: getRequestUrl(request) ?? "http://localhost/",
+  };
+}
+
+/**
+ * Reads the language from `?lang=`, then from the path prefix (or the
+ * subdomain with routing: "subdomain"). Path prefixes must match exactly:
+ * /pt-BR/ shouldn't silently serve /pt/. An unprefixed URL has no language
+ * here, so the cookie and Accept-Language still get a say.
+ */
+function getLanguageFromUrl(url, available, { queryParam, pathPrefix }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { lang: null, source: null };
+  }
+
+  const fromQuery = queryParam ? parsed.searchParams.get(queryParam) : null;
+  const queryMatch = fromQuery
+    ? negotiateLanguage([fromQuery], available)
+    : null;
+  if (queryMatch) return { lang: queryMatch, source: "query" };
+
+  const pathMatch = pathPrefix
+    ? getLanguageFromPath(parsed.href, { fallback: false })
+    : null;
+  if (pathMatch) return { lang: pathMatch, source: "path" };
+
+  return { lang: null, source: null };
+}
+
+/** True when config.routing puts the language in the URL. */
+function hasUrlRouting(routing) {
+  const mode = typeof routing === "string" ? routing : routing?.mode;
+  return mode === "prefix" || mode === "subdomain";
+}
+
+/** Appends a Set-Cookie header without dropping the ones already set. */
+function appendSetCookie(response, cookie) {
+  if (typeof response.headers?.append === "function") {
+    response.headers.append("Set-Cookie", cookie);
+    return;
+  }
+  const existing = response.getHeader?.("Set-Cookie");
+  const cookies = existing
+    ? [...(Array.isArray(existing) ? existing : [existing]), cookie]
+    : cookie;
+  response.setHeader("Set-Cookie", cookies);
+}
+
+/**
+ * Creates a Tradux instance for one request.
+ *
+ * Options:
+ *   queryParam — query parameter that selects the language (default "lang", false to disable)
+ *   pathPrefix — read the language from the first path segment, or the
+ *                subdomain (default: when config.routing is set)
+ *
+ * Returns the instance ({ t, currentLanguage, setLanguage, loadNamespace,
+ * loadFallbacks }) plus:
+ *   source             — where the language came from: "query" | "path" | "cookie" | "header" | "default"
+ *   getResponseHeaders — { "Content-Language", "Set-Cookie"? } for new Response(body, { headers })
+ *   applyToResponse    — writes those headers to a Fetch Response, Node/Express response or Hono context
+ */
+export async function createTraduxFromRequest(request, options = {}) {
+  const config = await getTraduxConfig();
+  const { queryParam = "lang", pathPrefix = hasUrlRouting(config.routing) } =
+    options;
+  const { headers, url } = normalizeRequest(request);
+  const { traduxCookie, acceptLanguage } = readRequestHeaders(headers);
+
+  const available = config.availableLanguages || [];
+
+  let cookieLanguage = null;
+  try {
+    cookieLanguage = traduxCookie ? decodeURIComponent(traduxCookie) : null;
+  } catch {}
+
+  const fromUrl = getLanguageFromUrl(url, available, {
+    queryParam,
+    pathPrefix,
+  });
+  const fromCookie = negotiateLanguage([cookieLanguage], available);
+  const fromHeader = negotiateLanguage(
+    parseAcceptLanguage(acceptLanguage),
+    available,
+  );
+
+  let source = "default";
+  if (fromUrl.lang) source = fromUrl.source;
+  else if (fromCookie) source = "cookie";
+  else if (fromHeader) source = "header";
+
+  const lang = fromUrl.lang ?? fromCookie ?? fromHeader;
+  // Without a match, the client still applies its own rules (defaultLanguage)
+  const instance = await initTradux(lang ?? headers);
+
+  const getResponseHeaders = () => {
+    const responseHeaders = { "Content-Language": instance.currentLanguage };
+    if (cookieLanguage !== instance.currentLanguage) {
+      responseHeaders["Set-Cookie"] = serializeLanguageCookie(
+        instance.currentLanguage,
+      );
+    }
+    return responseHeaders;
+  };
+
+  /**
+   * Writes Content-Language, and Set-Cookie when the language differs from
+   * the cookie the request came with. Returns the response for chaining.
+   */
+  const applyToResponse = (response) => {
+    const { "Set-Cookie": cookie, ...rest } = getResponseHeaders();
+
+    // Hono context: headers go through c.header()
+    if (typeof response?.header === "function" && response.req) {
+      for (const [name, value] of Object.entries(rest)) {
+        response.header(name, value);
+      }
+      if (cookie) response.header("Set-Cookie", cookie, { append: true });
+      return response;
+    }
+
+    for (const [name, value] of Object.entries(rest)) {
+      if (typeof response.headers?.set === "function") {
+        response.headers.set(name, value);
+      } else {
+        response.setHeader(name, value);
+      }
+    }
+    if (cookie) appendSetCookie(response, cookie);
+    return response;
+  };
+
+  // Spread keeps the instance usable with serializeTraduxState()
+  return {
+    ...instance,
+    get currentLanguage() {
+      return instance.currentLanguage;
+    },
+    source,
+    getResponseHeaders,
+    applyToResponse,
+  };
+}
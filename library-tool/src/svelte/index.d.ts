@@ -1,18 +1,21 @@
-import { TranslationProxy, LanguageOption } from '../client.js';
+import { Translations, LanguageOption } from '../client.js';
 import type { Writable } from 'svelte/store';
 
-export const t: Writable<TranslationProxy>;
+export const t: Writable<Translations>;
 export const currentLanguage: Writable<string>;
 export const isReady: Writable<boolean>;
 
 export function initSvelteTradux(): Promise<void>;
 export function setLanguage(language: string, serverContext?: any): Promise<boolean>;
 export function getAvailableLanguages(): LanguageOption[];
+export function loadNamespace(...namespaces: string[]): Promise<boolean>;
+export function useNamespace(...namespaces: string[]): Writable<boolean>;
 
 export function useTradux(): {
-    t: Writable<TranslationProxy>;
+    t: Writable<Translations>;
     currentLanguage: Writable<string>;
     isReady: Writable<boolean>;
     setLanguage: typeof setLanguage;
     getAvailableLanguages: typeof getAvailableLanguages;
+    loadNamespace: typeof loadNamespace;
 };
\ No newline at end of file
@@ -6,6 +6,7 @@
  * Two ways to use:
  *   - `initSvelteTradux()` in your root +layout.svelte
  *   - `useTradux()` in any component (auto-inits if needed)
+ * `useNamespace()` fetches lazy namespaces (see preloadNamespaces).
  */
 
 import { writable, get } from "svelte/store";
@@ -13,7 +14,9 @@ import {
   initTradux,
   setLanguage as coreSetLanguage,
   getAvailableLanguages,
+  loadNamespace,
   onLanguageChange,
+  onTranslationsLoad,
 } from "../client.js";
 
 export const t = writable({});
@@ -29,6 +32,7 @@ const updateState = async () => {
 };
 
 onLanguageChange(updateState);
+onTranslationsLoad(updateState);
 
 /** Explicit init for use in the root layout. Safe to call multiple times. */
 export async function initSvelteTradux() {
@@ -49,5 +53,13 @@ export function useTradux() {
     isReady,
     setLanguage: coreSetLanguage,
     getAvailableLanguages,
+    loadNamespace,
   };
 }
+
+/** Loads lazy namespaces (see preloadNamespaces). The store turns true once they're available. */
+export function useNamespace(...namespaces) {
+  const isLoaded = writable(false);
+  loadNamespace(...namespaces).then((loaded) => isLoaded.set(loaded));
+  return isLoaded;
+}
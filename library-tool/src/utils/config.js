@@ -2,7 +2,14 @@ import fs from "fs-extra";
 import path from "path";
 import { logger } from "./logger.js";
 import { fileManager } from "../core/file-manager.js";
-import { PROVIDERS, getRequiredEnvVars, isValidProvider } from "./providers.js";
+import {
+  PROVIDERS,
+  TRANSPORTS,
+  getRequiredEnvVars,
+  isValidProvider,
+} from "./providers.js";
+import { GLOSSARY_FILENAME } from "../core/glossary.js";
+import { CONTEXT_FILE_SUFFIX } from "../core/context-notes.js";
 
 const CONFIG_FILENAME = "tradux.config.json";
 
@@ -24,6 +31,20 @@ function findI18nPathSync(dir) {
   return null;
 }
 
+/** Lists translation JSON files in a directory by name (no extension), skipping dotfiles and context sidecars. */
+function listTranslationFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter(
+      (f) =>
+        f.endsWith(".json") &&
+        !f.startsWith(".") &&
+        !f.endsWith(CONTEXT_FILE_SUFFIX),
+    )
+    .map((f) => f.replace(".json", ""));
+}
+
 export async function validateAndFixConfig(projectRoot, silent = false) {
   const configPath = path.join(projectRoot, CONFIG_FILENAME);
   let config = {};
@@ -86,11 +107,24 @@ export async function validateAndFixConfig(projectRoot, silent = false) {
   }
 
   let existingFiles = [];
+  let languageDirs = [];
   if (fs.existsSync(actualI18nPath)) {
-    existingFiles = fs
-      .readdirSync(actualI18nPath)
-      .filter((f) => f.endsWith(".json") && !f.startsWith("."))
-      .map((f) => f.replace(".json", ""));
+    existingFiles = listTranslationFiles(actualI18nPath).filter(
+      (f) => f !== path.basename(GLOSSARY_FILENAME, ".json"),
+    );
+
+    // Namespaced layout: one directory per language (i18n/en/common.json)
+    languageDirs = fs
+      .readdirSync(actualI18nPath, { withFileTypes: true })
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          !entry.name.startsWith(".") &&
+          listTranslationFiles(path.join(actualI18nPath, entry.name)).length >
+            0,
+      )
+      .map((entry) => entry.name);
+    if (languageDirs.length > 0) existingFiles = languageDirs;
   }
 
   if (
@@ -113,6 +147,21 @@ export async function validateAndFixConfig(projectRoot, silent = false) {
     configChanged = true;
   }
 
+  // Namespaces are the files of the default language's directory
+  const namespaces =
+    languageDirs.length > 0
+      ? listTranslationFiles(
+          path.join(actualI18nPath, config.defaultLanguage),
+        ).sort()
+      : null;
+  if (
+    JSON.stringify(namespaces) !== JSON.stringify(config.namespaces ?? null)
+  ) {
+    if (namespaces) config.namespaces = namespaces;
+    else delete config.namespaces;
+    configChanged = true;
+  }
+
   if (!config.translation || typeof config.translation !== "object") {
     if (!silent) {
       logger.warn("\n  No 'translation' block found in tradux.config.json.");
@@ -178,6 +227,24 @@ export async function validateAndFixConfig(projectRoot, silent = false) {
         configChanged = true;
       }
     }
+
+    const { transport } = config.translation;
+    if (transport !== undefined && !TRANSPORTS.includes(transport)) {
+      if (!silent)
+        logger.warn(
+          `\n  Unknown translation.transport "${transport}". Valid options: ${TRANSPORTS.join(", ")}`,
+        );
+    }
+  }
+
+  if (
+    config.types !== undefined &&
+    (typeof config.types !== "string" || !config.types)
+  ) {
+    if (!silent)
+      logger.warn(
+        `\n  "types" must be a file path such as "src/tradux-keys.d.ts". It is ignored.`,
+      );
   }
 
   if (configChanged) {
@@ -215,9 +282,7 @@ export async function executeRemoveLanguages(languages, config) {
     if (lang === config.defaultLanguage) {
       continue;
     }
-    const fp = path.join(i18nAbsolutePath, `${lang}.json`);
-    if (fs.existsSync(fp)) {
-      fs.unlinkSync(fp);
+    if (fileManager.removeLanguage(i18nAbsolutePath, lang)) {
       filesRemoved = true;
     }
   }
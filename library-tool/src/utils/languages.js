@@ -1,3 +1,5 @@
+// Bare codes plus the most requested regional variants. Any other valid
+// BCP 47 tag (e.g. "de-CH") is accepted too — see utils/locale.js.
 export const availableLanguages = [
   { name: "Afrikaans", value: "af" },
   { name: "Albanian", value: "sq" },
@@ -9,15 +11,20 @@ export const availableLanguages = [
   { name: "Bulgarian", value: "bg" },
   { name: "Catalan", value: "ca" },
   { name: "Chinese", value: "zh" },
+  { name: "Chinese (Simplified)", value: "zh-Hans" },
+  { name: "Chinese (Traditional)", value: "zh-Hant" },
   { name: "Croatian", value: "hr" },
   { name: "Czech", value: "cs" },
   { name: "Danish", value: "da" },
   { name: "Dutch", value: "nl" },
   { name: "English", value: "en" },
+  { name: "English (United Kingdom)", value: "en-GB" },
+  { name: "English (United States)", value: "en-US" },
   { name: "Estonian", value: "et" },
   { name: "Filipino", value: "fil" },
   { name: "Finnish", value: "fi" },
   { name: "French", value: "fr" },
+  { name: "French (Canada)", value: "fr-CA" },
   { name: "Georgian", value: "ka" },
   { name: "German", value: "de" },
   { name: "Greek", value: "el" },
@@ -45,6 +52,8 @@ export const availableLanguages = [
   { name: "Persian", value: "fa" },
   { name: "Polish", value: "pl" },
   { name: "Portuguese", value: "pt" },
+  { name: "Portuguese (Brazil)", value: "pt-BR" },
+  { name: "Portuguese (Portugal)", value: "pt-PT" },
   { name: "Punjabi", value: "pa" },
   { name: "Romanian", value: "ro" },
   { name: "Russian", value: "ru" },
@@ -53,6 +62,9 @@ export const availableLanguages = [
   { name: "Slovak", value: "sk" },
   { name: "Slovenian", value: "sl" },
   { name: "Spanish", value: "es" },
+  { name: "Spanish (Latin America)", value: "es-419" },
+  { name: "Spanish (Mexico)", value: "es-MX" },
+  { name: "Spanish (Spain)", value: "es-ES" },
   { name: "Swahili", value: "sw" },
   { name: "Swedish", value: "sv" },
   { name: "Tamil", value: "ta" },
@@ -0,0 +1,118 @@
+/**
+ * locale.js — BCP 47 Language Tags
+ *
+ * Helpers for regional and script variants such as "pt-BR", "zh-Hant" or
+ * "es-419". Used by both the CLI and the runtime client, so it only relies
+ * on the built-in Intl APIs.
+ */
+
+/**
+ * Returns the canonical form of a language tag ("pt-br" → "pt-BR",
+ * "zh-hant-tw" → "zh-Hant-TW"), or null if it isn't valid BCP 47.
+ */
+export function canonicalizeLocale(tag) {
+  if (typeof tag !== "string" || !tag.trim()) return null;
+  try {
+    return Intl.getCanonicalLocales(tag.trim())[0] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export const isValidLocale = (tag) => canonicalizeLocale(tag) !== null;
+
+const displayNamesCache = new Map();
+
+/**
+ * English display name of a tag ("pt-BR" → "Brazilian Portuguese",
+ * "zh-Hant" → "Traditional Chinese"). Returns null when the runtime has no
+ * Intl.DisplayNames or doesn't know the language.
+ */
+export function getLocaleName(tag, displayLocale = "en") {
+  const canonical = canonicalizeLocale(tag);
+  if (!canonical || typeof Intl.DisplayNames !== "function") return null;
+  try {
+    if (!displayNamesCache.has(displayLocale)) {
+      displayNamesCache.set(
+        displayLocale,
+        new Intl.DisplayNames([displayLocale], {
+          type: "language",
+          fallback: "none",
+        }),
+      );
+    }
+    return displayNamesCache.get(displayLocale).of(canonical) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Less specific tags to fall back to, most specific first:
+ * "zh-Hant-TW" → ["zh-Hant", "zh"], "pt-BR" → ["pt"], "pt" → [].
+ */
+export function getParentLocales(tag) {
+  const canonical = canonicalizeLocale(tag) ?? tag;
+  if (typeof canonical !== "string") return [];
+
+  const subtags = canonical.split("-");
+  const parents = [];
+  for (let length = subtags.length - 1; length >= 1; length--) {
+    parents.push(subtags.slice(0, length).join("-"));
+  }
+  return parents;
+}
+
+/**
+ * Parses an Accept-Language header into tags ordered by preference:
+ * "pt-BR,pt;q=0.9,en;q=0.8,*;q=0.5" → ["pt-BR", "pt", "en"].
+ * Wildcards, invalid tags and q=0 entries are dropped.
+ */
+export function parseAcceptLanguage(header) {
+  if (typeof header !== "string" || !header.trim()) return [];
+
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const qParam = params.find((param) => param.trim().startsWith("q="));
+      const q = qParam ? Number.parseFloat(qParam.trim().slice(2)) : 1;
+      return {
+        tag: canonicalizeLocale(tag),
+        q: Number.isNaN(q) ? 0 : q,
+        index,
+      };
+    })
+    .filter(({ tag, q }) => tag && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ tag }) => tag);
+}
+
+/**
+ * Picks the best of `available` for a list of preferred tags (most preferred
+ * first). For each preferred tag it tries an exact match or a regional
+ * variant of it ("pt" → "pt-BR"), then the same for each parent locale:
+ * "es-AR" matches "es", then "es-MX". Matching ignores case; the returned
+ * value is spelled as in `available`. Returns null if nothing matches.
+ */
+export function negotiateLanguage(preferred, available) {
+  const candidates = (available || []).map((code) => ({
+    code,
+    tag: canonicalizeLocale(code) ?? code,
+  }));
+
+  for (const requested of preferred || []) {
+    const tag = canonicalizeLocale(requested);
+    if (!tag) continue;
+
+    for (const wanted of [tag, ...getParentLocales(tag)]) {
+      const match =
+        candidates.find((candidate) => candidate.tag === wanted) ??
+        candidates.find((candidate) =>
+          getParentLocales(candidate.tag).includes(wanted),
+        );
+      if (match) return match.code;
+    }
+  }
+  return null;
+}
@@ -11,12 +11,24 @@ export const color = {
   success: chalk.green,
 };
 
+let write = (message) => console.log(message);
+
+/**
+ * Sends the logger's output to stderr, for commands whose stdout is
+ * machine-readable (e.g. `tradux check --format json`).
+ */
+export function logToStderr() {
+  write = (message) => console.error(message);
+}
+
 export const logger = {
-  info: (message) => console.log(color.primary(message)),
-  info2: (message) => console.log(color.secondary(message)),
-  info3: (message) => console.log(color.tertiary(message)),
-  warn: (message) => console.log(color.warn(message)),
-  error: (message) => console.log(color.error(message)),
-  success: (message) => console.log(color.success(message)),
-  dim: (message) => console.log(color.dim(message)),
+  info: (message) => write(color.primary(message)),
+  info2: (message) => write(color.secondary(message)),
+  info3: (message) => write(color.tertiary(message)),
+  warn: (message) => write(color.warn(message)),
+  error: (message) => write(color.error(message)),
+  success: (message) => write(color.success(message)),
+  dim: (message) => write(color.dim(message)),
+  /** Prints a line as is, e.g. one already colored in parts. */
+  log: (message = "") => write(message),
 };
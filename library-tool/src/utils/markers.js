@@ -0,0 +1,64 @@
+/**
+ * markers.js — Key Markers
+ *
+ * Users annotate key names in the source JSON with special prefixes or suffixes:
+ *   "===keyName" or "keyName==="  → no-translate: copy the value as-is to every target file, never send to API
+ *   "+++keyName" or "keyName+++"  → force-translate: always re-translate on every -u run, even if it already exists
+ *   "---keyName" or "keyName---"  → ignore: never translate, never add to target files
+ *   "@keyName"                    → translator note for "keyName": sent as context, never translated
+ * Target files always use clean (unmarked) key names. Shared by the CLI and
+ * the runtime client, which reads the source language with the same clean keys.
+ */
+
+export const NO_TRANSLATE = "===";
+export const FORCE_TRANSLATE = "+++";
+export const IGNORE = "---";
+export const CONTEXT_PREFIX = "@";
+
+/** Returns true if the key name carries a marker prefix or suffix. */
+export const isNoTranslateKey = (k) =>
+  k.startsWith(NO_TRANSLATE) || k.endsWith(NO_TRANSLATE);
+export const isForceTranslateKey = (k) =>
+  k.startsWith(FORCE_TRANSLATE) || k.endsWith(FORCE_TRANSLATE);
+export const isIgnoreKey = (k) => k.startsWith(IGNORE) || k.endsWith(IGNORE);
+export const isContextKey = (k) => k.startsWith(CONTEXT_PREFIX);
+
+/** Strips a marker prefix or suffix from a key name (e.g. "===heading" or "heading===" → "heading"). */
+export const cleanKey = (k) => {
+  if (
+    k.startsWith(NO_TRANSLATE) ||
+    k.startsWith(FORCE_TRANSLATE) ||
+    k.startsWith(IGNORE)
+  )
+    return k.slice(3);
+  if (
+    k.endsWith(NO_TRANSLATE) ||
+    k.endsWith(FORCE_TRANSLATE) ||
+    k.endsWith(IGNORE)
+  )
+    return k.slice(0, -3);
+  return k;
+};
+
+/**
+ * Translations as the runtime should see them: === and +++ keys under their
+ * clean names, --- keys and @ notes dropped. Like the target files the CLI
+ * writes, arrays are kept as they are. Data without markers comes back as is.
+ */
+export function stripKeyMarkers(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return data;
+
+  let changed = false;
+  const result = {};
+  for (const key in data) {
+    if (isContextKey(key) || isIgnoreKey(key)) {
+      changed = true;
+      continue;
+    }
+    const ck = cleanKey(key);
+    const value = stripKeyMarkers(data[key]);
+    if (ck !== key || value !== data[key]) changed = true;
+    result[ck] = value;
+  }
+  return changed ? result : data;
+}
@@ -0,0 +1,428 @@
+/**
+ * message-format.js — ICU MessageFormat for translated strings
+ *
+ * Parses and formats the placeholder grammar shared by the CLI and the
+ * runtime client:
+ *   {name}                                  simple argument
+ *   {{name}}                                legacy argument (same as {name})
+ *   {price, number} / {price, number, percent}
+ *   {when, date, short} / {when, time, short}
+ *   {count, plural, =0 {none} one {# item} other {# items}}
+ *   {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ *   {gender, select, male {He} female {She} other {They}}
+ *
+ * Plural categories are chosen with Intl.PluralRules for the active
+ * language, and numbers/dates are formatted with Intl.NumberFormat and
+ * Intl.DateTimeFormat. Apostrophes escape syntax characters ('{' or '')
+ * as in ICU. No Node-only APIs are used, so this runs in the browser too.
+ */
+
+const PLURAL_TYPES = ["plural", "selectordinal"];
+const FORMAT_TYPES = ["number", "date", "time"];
+
+const astCache = new Map();
+const intlCache = new Map();
+
+// --- Parser ---
+
+function syntaxError(state, message) {
+  return new Error(
+    `Invalid message syntax at position ${state.pos}: ${message} in "${state.src}"`,
+  );
+}
+
+function skipWhitespace(state) {
+  while (state.pos < state.src.length && /\s/.test(state.src[state.pos])) {
+    state.pos++;
+  }
+}
+
+function readWord(state) {
+  const start = state.pos;
+  while (
+    state.pos < state.src.length &&
+    !/[\s,{}]/.test(state.src[state.pos])
+  ) {
+    state.pos++;
+  }
+  return state.src.slice(start, state.pos);
+}
+
+function expect(state, char) {
+  if (state.src[state.pos] !== char) {
+    throw syntaxError(state, `expected "${char}"`);
+  }
+  state.pos++;
+}
+
+/**
+ * Handles an apostrophe: `''` is a literal quote, and a quote followed by a
+ * syntax character starts a quoted literal that runs until the next quote.
+ * Any other apostrophe is kept as plain text (e.g. "don't").
+ */
+function readQuoted(state, inPlural) {
+  const { src } = state;
+  const next = src[state.pos + 1];
+
+  if (next === "'") {
+    state.pos += 2;
+    return "'";
+  }
+
+  if (
+    next === "{" ||
+    next === "}" ||
+    next === "|" ||
+    (inPlural && next === "#")
+  ) {
+    let text = "";
+    state.pos++;
+    while (state.pos < src.length) {
+      if (src[state.pos] === "'") {
+        if (src[state.pos + 1] === "'") {
+          text += "'";
+          state.pos += 2;
+          continue;
+        }
+        state.pos++;
+        return text;
+      }
+      text += src[state.pos++];
+    }
+    return text;
+  }
+
+  state.pos++;
+  return "'";
+}
+
+function parseNodes(state, inPlural) {
+  const nodes = [];
+  let text = "";
+
+  while (state.pos < state.src.length) {
+    const char = state.src[state.pos];
+
+    if (char === "'") {
+      text += readQuoted(state, inPlural);
+    } else if (char === "{") {
+      if (text) nodes.push(text);
+      text = "";
+      nodes.push(parseArgument(state, inPlural));
+    } else if (char === "}") {
+      break;
+    } else if (char === "#" && inPlural) {
+      if (text) nodes.push(text);
+      text = "";
+      nodes.push({ type: "pound" });
+      state.pos++;
+    } else {
+      text += char;
+      state.pos++;
+    }
+  }
+
+  if (text) nodes.push(text);
+  return nodes;
+}
+
+function parseArgument(state, inPlural) {
+  const { src } = state;
+
+  // Legacy {{name}} placeholders, as preserved by the translation prompt
+  if (src[state.pos + 1] === "{") {
+    const end = src.indexOf("}}", state.pos);
+    const name = end === -1 ? "" : src.slice(state.pos + 2, end).trim();
+    if (!/^[\w.-]+$/.test(name)) {
+      throw syntaxError(state, "invalid {{placeholder}}");
+    }
+    state.pos = end + 2;
+    return { type: "argument", name, legacy: true };
+  }
+
+  state.pos++;
+  skipWhitespace(state);
+  const name = readWord(state);
+  if (!name) throw syntaxError(state, "missing argument name");
+  skipWhitespace(state);
+
+  if (src[state.pos] === "}") {
+    state.pos++;
+    return { type: "argument", name };
+  }
+
+  expect(state, ",");
+  skipWhitespace(state);
+  const kind = readWord(state);
+  skipWhitespace(state);
+
+  if (src[state.pos] === "}") {
+    if (!FORMAT_TYPES.includes(kind)) {
+      throw syntaxError(state, `unknown argument type "${kind}"`);
+    }
+    state.pos++;
+    return { type: "argument", name, format: kind };
+  }
+
+  expect(state, ",");
+
+  if (FORMAT_TYPES.includes(kind)) {
+    const end = src.indexOf("}", state.pos);
+    if (end === -1) throw syntaxError(state, "unclosed argument");
+    const style = src.slice(state.pos, end).trim();
+    state.pos = end + 1;
+    return { type: "argument", name, format: kind, style };
+  }
+
+  if (kind === "select") {
+    return { type: "select", name, options: parseOptions(state, inPlural) };
+  }
+
+  if (PLURAL_TYPES.includes(kind)) {
+    skipWhitespace(state);
+    let offset = 0;
+    if (src.startsWith("offset:", state.pos)) {
+      state.pos += "offset:".length;
+      skipWhitespace(state);
+      offset = Number(readWord(state));
+      if (!Number.isFinite(offset)) throw syntaxError(state, "invalid offset");
+    }
+    return {
+      type: "plural",
+      name,
+      ordinal: kind === "selectordinal",
+      offset,
+      options: parseOptions(state, true),
+    };
+  }
+
+  throw syntaxError(state, `unknown argument type "${kind}"`);
+}
+
+function parseOptions(state, inPlural) {
+  const options = {};
+
+  while (true) {
+    skipWhitespace(state);
+    if (state.src[state.pos] === "}") {
+      state.pos++;
+      break;
+    }
+
+    const selector = readWord(state);
+    if (!selector) throw syntaxError(state, "missing selector");
+    skipWhitespace(state);
+    expect(state, "{");
+    options[selector] = parseNodes(state, inPlural);
+    expect(state, "}");
+  }
+
+  if (!options.other) {
+    throw syntaxError(state, 'missing required "other" option');
+  }
+  return options;
+}
+
+/**
+ * Parses a message into an AST of text strings and argument nodes.
+ * Results are cached by message text. Throws on invalid syntax.
+ */
+export function parseMessage(message) {
+  if (astCache.has(message)) return astCache.get(message);
+
+  const state = { src: message, pos: 0 };
+  const ast = parseNodes(state, false);
+  if (state.pos < message.length) {
+    throw syntaxError(state, 'unexpected "}"');
+  }
+
+  astCache.set(message, ast);
+  return ast;
+}
+
+/** Parses without throwing — returns null for strings that aren't valid messages. */
+function tryParseMessage(message) {
+  try {
+    return parseMessage(message);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists the arguments a message expects, e.g.
+ * "{count, plural, one {# item} other {# items}}" → [{ name: "count", type: "plural" }].
+ * Returns an empty array for plain strings and invalid syntax.
+ */
+export function getMessageArguments(message) {
+  const ast = typeof message === "string" ? tryParseMessage(message) : null;
+  const args = new Map();
+
+  const walk = (nodes) => {
+    for (const node of nodes || []) {
+      if (typeof node === "string" || node.type === "pound") continue;
+
+      const type =
+        node.type === "argument" ? node.format || "string" : node.type;
+      if (!args.has(node.name) || args.get(node.name) === "string") {
+        args.set(node.name, type);
+      }
+      if (node.options) Object.values(node.options).forEach(walk);
+    }
+  };
+
+  walk(ast);
+  return [...args].map(([name, type]) => ({ name, type }));
+}
+
+// --- Formatter ---
+
+function getIntl(Ctor, locale, options = {}) {
+  const cacheKey = `${Ctor.name}|${locale}|${JSON.stringify(options)}`;
+  if (!intlCache.has(cacheKey)) {
+    let instance;
+    try {
+      instance = new Ctor(locale, options);
+    } catch {
+      instance = new Ctor(undefined, options);
+    }
+    intlCache.set(cacheKey, instance);
+  }
+  return intlCache.get(cacheKey);
+}
+
+function getNumberOptions(style = "") {
+  const normalized = style.replace(/^::\s*/, "");
+  if (normalized === "integer") return { maximumFractionDigits: 0 };
+  if (normalized === "percent") return { style: "percent" };
+  if (normalized.startsWith("currency/")) {
+    return { style: "currency", currency: normalized.slice(9) };
+  }
+  return {};
+}
+
+function formatArgument(node, value, locale) {
+  if (value === undefined || value === null) {
+    return node.legacy ? `{{${node.name}}}` : `{${node.name}}`;
+  }
+
+  if (node.format === "number") {
+    return getIntl(
+      Intl.NumberFormat,
+      locale,
+      getNumberOptions(node.style),
+    ).format(value);
+  }
+
+  if (node.format === "date" || node.format === "time") {
+    const date = value instanceof Date ? value : new Date(value);
+    const style = ["short", "medium", "long", "full"].includes(node.style)
+      ? node.style
+      : "medium";
+    const options =
+      node.format === "date" ? { dateStyle: style } : { timeStyle: style };
+    return getIntl(Intl.DateTimeFormat, locale, options).format(date);
+  }
+
+  return String(value);
+}
+
+function formatNodes(nodes, values, locale, pluralValue) {
+  let output = "";
+
+  for (const node of nodes) {
+    if (typeof node === "string") {
+      output += node;
+    } else if (node.type === "pound") {
+      output +=
+        pluralValue === undefined
+          ? "#"
+          : getIntl(Intl.NumberFormat, locale).format(pluralValue);
+    } else if (node.type === "argument") {
+      output += formatArgument(node, values[node.name], locale);
+    } else if (node.type === "select") {
+      const branch = node.options[String(values[node.name])];
+      output += formatNodes(
+        branch || node.options.other,
+        values,
+        locale,
+        pluralValue,
+      );
+    } else if (node.type === "plural") {
+      const raw = values[node.name];
+      const number = Number(raw);
+
+      if (raw === undefined || raw === null || Number.isNaN(number)) {
+        output += formatNodes(node.options.other, values, locale);
+        continue;
+      }
+
+      const adjusted = number - node.offset;
+      const exact = node.options[`=${number}`];
+      const category = getIntl(Intl.PluralRules, locale, {
+        type: node.ordinal ? "ordinal" : "cardinal",
+      }).select(adjusted);
+      const branch = exact || node.options[category] || node.options.other;
+
+      output += formatNodes(branch, values, locale, adjusted);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Formats a message with the given values for a language.
+ * Missing values are left as their placeholder (e.g. "{name}"), and strings
+ * with invalid syntax are returned unchanged.
+ */
+export function formatMessage(message, values = {}, locale = "en") {
+  if (typeof message !== "string") return message;
+  const ast = tryParseMessage(message);
+  if (!ast) return message;
+  return formatNodes(ast, values || {}, locale);
+}
+
+/**
+ * True if `t.some.key` returns a callable formatter for this string: it has
+ * an argument, ICU or legacy {{name}}.
+ */
+export function isCallableMessage(message) {
+  const ast = typeof message === "string" ? tryParseMessage(message) : null;
+  return Boolean(ast?.some((node) => typeof node !== "string"));
+}
+
+// String methods on a message work on it as rendered, as its `& string`
+// type promises, so code written for plain strings — such as
+// t.hello.replace("{{name}}", name) — keeps working on callable messages.
+const MESSAGE_PROTOTYPE = Object.create(Function.prototype);
+for (const name of Object.getOwnPropertyNames(String.prototype)) {
+  if (typeof String.prototype[name] !== "function") continue;
+  if (["constructor", "toString", "valueOf"].includes(name)) continue;
+  MESSAGE_PROTOTYPE[name] = function (...args) {
+    return String.prototype[name].apply(String(this), args);
+  };
+}
+
+/**
+ * Turns a translated string into what `t.some.key` should return.
+ * Plain strings stay strings. Strings with arguments become a callable
+ * formatter — `t.cart.items({ count: 3 })` — that still renders as the
+ * unformatted message when used directly as a string.
+ */
+export function createMessage(message, locale) {
+  const ast = tryParseMessage(message);
+  if (!ast) return message;
+  if (ast.every((node) => typeof node === "string")) return ast.join("");
+
+  const format = (values = {}) => formatNodes(ast, values || {}, locale);
+  const asString = () => format();
+
+  Object.setPrototypeOf(format, MESSAGE_PROTOTYPE);
+  format.toString = asString;
+  format.valueOf = asString;
+  format.toJSON = () => message;
+  format[Symbol.toPrimitive] = asString;
+
+  return format;
+}
@@ -0,0 +1,99 @@
+/**
+ * pool.js — Bounded async task runner
+ *
+ * Runs async tasks with at most `limit` in flight. When a provider
+ * rate-limits, `backoff()` pauses new tasks for a while and lowers the
+ * limit by one (never below 1) so the pool settles at a rate the provider
+ * accepts. Tasks already running are not interrupted.
+ */
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {number} limit — maximum concurrent tasks (1 = sequential)
+ * @returns {{ run: (task: () => Promise<any>) => Promise<any>, backoff: (ms: number) => void, readonly limit: number }}
+ */
+export function createPool(limit) {
+  let currentLimit = Math.max(1, Math.floor(Number(limit) || 1));
+  let active = 0;
+  let resumeAt = 0;
+  let resumeTimer = null;
+  const queue = [];
+
+  const drain = () => {
+    const wait = resumeAt - Date.now();
+    if (wait > 0) {
+      if (!resumeTimer) {
+        resumeTimer = setTimeout(() => {
+          resumeTimer = null;
+          drain();
+        }, wait);
+      }
+      return;
+    }
+
+    while (active < currentLimit && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          drain();
+        });
+    }
+  };
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        drain();
+      });
+    },
+    backoff(ms) {
+      currentLimit = Math.max(1, currentLimit - 1);
+      resumeAt = Math.max(resumeAt, Date.now() + ms);
+    },
+    get limit() {
+      return currentLimit;
+    },
+  };
+}
+
+/**
+ * Runs `fn` over every item through a pool (or a new one of size `limit`).
+ * Results come back in input order as Promise.allSettled-style outcomes,
+ * so one failing item never discards the others.
+ *
+ * @param {Array} items
+ * @param {number | ReturnType<typeof createPool>} limit
+ * @param {(item: any, index: number) => Promise<any>} fn
+ */
+export function mapSettled(items, limit, fn) {
+  const pool = typeof limit === "object" ? limit : createPool(limit);
+  return Promise.allSettled(
+    items.map((item, index) => pool.run(() => fn(item, index))),
+  );
+}
+
+/**
+ * Retries `call` with exponential backoff while `isRetryable(error)` holds.
+ * `onRetry(delayMs, attempt)` runs before each wait — e.g. to back off a pool.
+ */
+export async function withRetry(
+  call,
+  { retries = 3, baseDelay = 2000, isRetryable = () => true, onRetry } = {},
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+      const delay = baseDelay * 2 ** attempt;
+      onRetry?.(delay, attempt + 1);
+      await sleep(delay);
+    }
+  }
+}
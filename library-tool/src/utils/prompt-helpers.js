@@ -9,6 +9,7 @@ import {
 import { promptMissingKey } from "./auth.js";
 import { selectModel } from "./model-picker.js";
 import { availableLanguages } from "./languages.js";
+import { getLocaleName } from "./locale.js";
 
 export const BACK_SYMBOL = Symbol("BACK");
 
@@ -153,17 +154,37 @@ export async function promptReviewSettings(currentReviewConfig) {
   }
 }
 
+/** Display name for a language code: Tradux's list, then Intl, then the code itself. */
+export function getLanguageLabel(code) {
+  return (
+    availableLanguages.find((l) => l.value === code)?.name ??
+    getLocaleName(code) ??
+    code
+  );
+}
+
+/**
+ * Options for the language pickers. Configured tags that aren't in the
+ * built-in list (e.g. "de-CH") are appended so they stay selectable.
+ */
+export function getLanguageOptions(selected = []) {
+  const extra = selected.filter(
+    (code) => !availableLanguages.some((l) => l.value === code),
+  );
+  return [...availableLanguages.map((l) => l.value), ...extra].map((value) => ({
+    value,
+    label: getLanguageLabel(value),
+    hint: value,
+  }));
+}
+
 export async function promptForLanguages(currentSelected = []) {
   const preSelected = Array.isArray(currentSelected) ? currentSelected : [];
 
   const languages = oc(
     await p.autocompleteMultiselect({
       message: color.secondary("Target languages:"),
-      options: availableLanguages.map((l) => ({
-        value: l.value,
-        label: l.name,
-        hint: l.value,
-      })),
+      options: getLanguageOptions(preSelected),
       initialValues: preSelected,
       required: false,
     }),
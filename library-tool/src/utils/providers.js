@@ -32,6 +32,13 @@ export const PROVIDER_ENV_MAP = {
   custom: { apiKey: "CUSTOM_API_KEY" },
 };
 
+/**
+ * How the CLI reaches the provider:
+ *   proxy  — POST to the worker proxy (TRADUX_WORKER_URL / workerUrl), the default
+ *   direct — call the provider's API from this machine; keys never go to the proxy
+ */
+export const TRANSPORTS = ["proxy", "direct"];
+
 /**
  * Full metadata for each provider.
  *
@@ -0,0 +1,60 @@
+/**
+ * request.js — Reading Language Hints from Requests
+ *
+ * Shared by the runtime client and tradux/server. Works with a Fetch API
+ * Request or Headers (Astro, SvelteKit, Hono, Remix...), a Node/Express
+ * request, or a plain headers object.
+ */
+
+export const LANGUAGE_COOKIE = "tradux_lang";
+export const LANGUAGE_COOKIE_PATTERN = /(?:^|;\s*)tradux_lang=([^;]+)/;
+const ONE_YEAR = 31536000;
+
+/** Reads a header case-insensitively. Returns "" when it isn't set. */
+export function getHeader(headers, name) {
+  if (!headers) return "";
+  if (typeof headers.get === "function") return headers.get(name) || "";
+
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  const value = key ? headers[key] : "";
+  return Array.isArray(value) ? value.join(", ") : value || "";
+}
+
+/**
+ * Reads the language cookie (still URI-encoded) and Accept-Language from a
+ * request or its headers.
+ */
+export function readRequestHeaders(request) {
+  const headers = request?.headers ?? request;
+  const cookieMatch = getHeader(headers, "cookie").match(
+    LANGUAGE_COOKIE_PATTERN,
+  );
+  return {
+    traduxCookie: cookieMatch ? cookieMatch[1] : "",
+    acceptLanguage: getHeader(headers, "accept-language"),
+  };
+}
+
+/**
+ * Absolute URL of a Fetch or Node/Express request (the Host header fills in
+ * what Node leaves out), or null for a bare headers object.
+ */
+export function getRequestUrl(request) {
+  const url = request?.originalUrl || request?.url;
+  if (typeof url !== "string") return null;
+
+  const host =
+    getHeader(request.headers, "x-forwarded-host").split(",")[0].trim() ||
+    getHeader(request.headers, "host") ||
+    "localhost";
+  try {
+    return new URL(url, `http://${host}`).href;
+  } catch {
+    return null;
+  }
+}
+
+/** The Set-Cookie value that persists a language choice for a year. */
+export function serializeLanguageCookie(lang) {
+  return `${LANGUAGE_COOKIE}=${encodeURIComponent(lang)}; Path=/; Max-Age=${ONE_YEAR}`;
+}
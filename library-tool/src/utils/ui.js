@@ -22,7 +22,7 @@ export function printBanner(version = "") {
 /**
  * Prints the post-translation summary inside a clack note box.
  *
- * @param {Array<{lang:string, status:"ok"|"skipped"|"error", duration:number, reviewFixes?:number, error?:string}>} results
+ * @param {Array<{lang:string, status:"ok"|"partial"|"skipped"|"error", duration:number, reviewFixes?:number, memoryHits?:number, failedKeys?:string[], invalidKeys?:Array<{key:string, reason:string}>, glossaryIssues?:Array<{key:string, reason:string}>, error?:string}>} results
  * @param {number} totalMs — total wall-clock time in ms
  */
 export function printSummary(results, totalMs = 0) {
@@ -32,9 +32,11 @@ export function printSummary(results, totalMs = 0) {
     const icon =
       r.status === "ok"
         ? color.success("✔")
-        : r.status === "skipped"
-          ? color.tertiary("–")
-          : color.error("✗");
+        : r.status === "partial"
+          ? color.warn("!")
+          : r.status === "skipped"
+            ? color.tertiary("–")
+            : color.error("✗");
     const lang = color.tertiary(r.lang.padEnd(8));
     const time =
       r.duration != null
@@ -46,11 +48,25 @@ export function printSummary(results, totalMs = 0) {
             ` · ${r.reviewFixes} fix${r.reviewFixes !== 1 ? "es" : ""}`,
           )
         : "";
+    const memory = r.memoryHits
+      ? color.tertiary(` · ${r.memoryHits} from memory`)
+      : "";
     const err = r.error ? `\n   ${color.error(r.error)}` : "";
-    return `${icon}  ${lang}  ${time}${review}${err}`;
+    const failed = r.failedKeys?.length
+      ? `\n   ${color.warn(`${r.failedKeys.length} key${r.failedKeys.length !== 1 ? "s" : ""} failed: ${formatKeyList(r.failedKeys)}`)}`
+      : "";
+    const invalid = r.invalidKeys?.length
+      ? `\n   ${color.warn(`${r.invalidKeys.length} key${r.invalidKeys.length !== 1 ? "s" : ""} failed validation: ${formatKeyList(r.invalidKeys.map((issue) => `${issue.key} (${issue.reason})`))}`)}`
+      : "";
+    const glossary = r.glossaryIssues?.length
+      ? `\n   ${color.warn(`${r.glossaryIssues.length} glossary violation${r.glossaryIssues.length !== 1 ? "s" : ""}: ${formatKeyList(r.glossaryIssues.map((issue) => `${issue.key} (${issue.reason})`))}`)}`
+      : "";
+    return `${icon}  ${lang}  ${time}${review}${memory}${err}${failed}${invalid}${glossary}`;
   });
 
-  const okCount = results.filter((r) => r.status === "ok").length;
+  const okCount = results.filter(
+    (r) => r.status === "ok" || r.status === "partial",
+  ).length;
   if (totalMs) {
     lines.push("");
     lines.push(
@@ -62,3 +78,9 @@ export function printSummary(results, totalMs = 0) {
 
   p.note(lines.join("\n"), color.success("Translation complete"));
 }
+
+/** Joins key paths for display, truncating long lists (e.g. "a, b, c +12 more"). */
+function formatKeyList(keys, max = 5) {
+  const shown = keys.slice(0, max).join(", ");
+  return keys.length > max ? `${shown} +${keys.length - max} more` : shown;
+}
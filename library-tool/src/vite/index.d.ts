@@ -0,0 +1,12 @@
+import type { Plugin } from 'vite';
+
+export interface TraduxPluginOptions {
+    /** Path to tradux.config.json, relative to the Vite root. Default "tradux.config.json". */
+    configFile?: string;
+}
+
+/**
+ * Serves tradux.config.json and the translation files as virtual modules:
+ * one hashed chunk per file at build time, hot-reloaded in dev.
+ */
+export default function tradux(options?: TraduxPluginOptions): Plugin;
@@ -0,0 +1,234 @@
+/**
+ * Vite plugin for Tradux.
+ *
+ *   // vite.config.js
+ *   import tradux from "tradux/vite";
+ *   export default { plugins: [tradux()] };
+ *
+ * Serves tradux.config.json and every translation file as virtual modules,
+ * so the browser client no longer fetches them from the public folder
+ * (no base path guessing). Each translation file is a dynamic import and
+ * becomes its own hashed chunk at build time. In dev, editing a translation
+ * file updates the page through HMR without a reload.
+ *
+ * The client picks the modules up through a registry the plugin imports
+ * ahead of tradux's client.js (see "Vite Integration" in client.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const VIRTUAL_ID = "virtual:tradux";
+const LOCALE_PREFIX = `${VIRTUAL_ID}/locale/`;
+const HOT_EVENT = "tradux:update";
+const CLIENT_PATH = toPosix(
+  fileURLToPath(new URL("../client.js", import.meta.url)),
+);
+// Pre-bundled deps skip plugin transforms, and client.js needs one
+const PACKAGES = ["tradux", "tradux/react", "tradux/vue", "tradux/svelte"];
+
+function toPosix(filePath) {
+  return filePath.replace(/\\/g, "/");
+}
+
+/** JSON files next to the translations that the runtime never loads. */
+function isTranslationFile(name) {
+  return (
+    name.endsWith(".json") &&
+    !name.startsWith(".") &&
+    !name.endsWith(".context.json") &&
+    name !== "glossary.json"
+  );
+}
+
+function readConfig(configPath) {
+  try {
+    return JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (e) {
+    throw new Error(
+      `tradux: could not read ${path.basename(configPath)}: ${e.message}`,
+    );
+  }
+}
+
+/** The i18n folder, looked up like the server-side client does. */
+function findI18nDir(root, i18nPath = "./i18n") {
+  const relative = i18nPath.replace(/^\.\//, "");
+  const candidates = [
+    path.join(root, "public", relative),
+    path.join(root, relative),
+    path.join(root, "src", relative),
+    path.join(root, "public", "i18n"),
+    path.join(root, "i18n"),
+  ];
+  return candidates.find((dir) => fs.existsSync(dir)) ?? null;
+}
+
+/** "es.json", or "es/common.json" in the namespaced layout. */
+function listTranslationFiles(i18nDir) {
+  if (!i18nDir) return [];
+  const files = [];
+  for (const entry of fs.readdirSync(i18nDir, { withFileTypes: true })) {
+    if (entry.isFile() && isTranslationFile(entry.name)) {
+      files.push(entry.name);
+    } else if (entry.isDirectory() && !entry.name.startsWith(".")) {
+      for (const name of fs.readdirSync(path.join(i18nDir, entry.name))) {
+        if (isTranslationFile(name)) files.push(`${entry.name}/${name}`);
+      }
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Virtual id of a translation file. "es/common.json" becomes
+ * "virtual:tradux/locale/es.common.json" so the chunk is named after both the
+ * language and the namespace (language codes never contain dots).
+ */
+const toLocaleId = (file) => `${LOCALE_PREFIX}${file.replace("/", ".")}`;
+
+function fromLocaleId(id) {
+  const name = id.slice(LOCALE_PREFIX.length, -".json".length);
+  const dot = name.indexOf(".");
+  return dot === -1
+    ? `${name}.json`
+    : `${name.slice(0, dot)}/${name.slice(dot + 1)}.json`;
+}
+
+function registryModule(config, files) {
+  const loaders = files.map(
+    (file) =>
+      `  ${JSON.stringify(file)}: () => import(${JSON.stringify(toLocaleId(file))}),`,
+  );
+  return [
+    `export const config = ${JSON.stringify(config)};`,
+    "export const loaders = {",
+    ...loaders,
+    "};",
+    "const listeners = new Set();",
+    "globalThis.__TRADUX_VITE__ = {",
+    "  config,",
+    "  loaders,",
+    "  subscribe: (listener) => listeners.add(listener),",
+    "};",
+    "if (import.meta.hot) {",
+    `  import.meta.hot.on(${JSON.stringify(HOT_EVENT)}, ({ file, data }) => {`,
+    "    for (const listener of listeners) listener(file, data);",
+    "  });",
+    "}",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Options:
+ *   configFile — path to tradux.config.json, relative to the Vite root
+ */
+export default function tradux(options = {}) {
+  let configPath;
+  let i18nDir;
+
+  const resolveI18nDir = () => {
+    i18nDir = findI18nDir(
+      path.dirname(configPath),
+      readConfig(configPath).i18nPath,
+    );
+    return i18nDir;
+  };
+
+  /** "es/common.json" for a file inside the i18n folder, else null. */
+  const toTranslationFile = (file) => {
+    if (!i18nDir) return null;
+    const relative = toPosix(path.relative(i18nDir, file));
+    if (relative.startsWith("..") || path.isAbsolute(relative)) return null;
+    return isTranslationFile(path.basename(relative)) ? relative : null;
+  };
+
+  const reloadRegistry = (server) => {
+    const registry = server.moduleGraph.getModuleById(`\0${VIRTUAL_ID}`);
+    if (registry) server.moduleGraph.invalidateModule(registry);
+    (server.hot ?? server.ws).send({ type: "full-reload" });
+  };
+
+  return {
+    name: "tradux",
+
+    config: () => ({ optimizeDeps: { exclude: PACKAGES } }),
+
+    configResolved(resolved) {
+      configPath = path.resolve(
+        resolved.root,
+        options.configFile ?? "tradux.config.json",
+      );
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID || id.startsWith(LOCALE_PREFIX)) return `\0${id}`;
+    },
+
+    load(id) {
+      if (id === `\0${VIRTUAL_ID}`) {
+        this.addWatchFile(configPath);
+        const config = readConfig(configPath);
+        return registryModule(config, listTranslationFiles(resolveI18nDir()));
+      }
+      if (id.startsWith(`\0${LOCALE_PREFIX}`)) {
+        const file = fromLocaleId(id.slice(1));
+        const filePath = path.join(i18nDir ?? resolveI18nDir(), file);
+        this.addWatchFile(filePath);
+        // Raw JSON: Vite's JSON plugin turns it into a module (the id ends in .json)
+        return fs.readFileSync(filePath, "utf8");
+      }
+    },
+
+    // Load the registry before client.js runs (browser code only)
+    transform(code, id, transformOptions) {
+      if (transformOptions?.ssr) return;
+      if (toPosix(id.split("?")[0]) !== CLIENT_PATH) return;
+      return { code: `import "${VIRTUAL_ID}";\n${code}`, map: null };
+    },
+
+    configureServer(server) {
+      if (resolveI18nDir()) server.watcher.add(i18nDir);
+      // Added or removed languages change the registry itself
+      const onFileListChange = (file) => {
+        if (toTranslationFile(file)) reloadRegistry(server);
+      };
+      server.watcher.on("add", onFileListChange);
+      server.watcher.on("unlink", onFileListChange);
+    },
+
+    async handleHotUpdate({ file, server, read }) {
+      if (path.resolve(file) === configPath) {
+        resolveI18nDir();
+        reloadRegistry(server);
+        return [];
+      }
+
+      const translationFile = toTranslationFile(file);
+      if (!translationFile) return;
+
+      let data;
+      try {
+        data = JSON.parse(await read());
+      } catch (e) {
+        server.config.logger.warn(
+          `tradux: ${translationFile} is not valid JSON yet (${e.message})`,
+        );
+        return [];
+      }
+
+      const module = server.moduleGraph.getModuleById(
+        `\0${toLocaleId(translationFile)}`,
+      );
+      if (module) server.moduleGraph.invalidateModule(module);
+      (server.hot ?? server.ws).send({
+        type: "custom",
+        event: HOT_EVENT,
+        data: { file: translationFile, data },
+      });
+      return [];
+    },
+  };
+}
@@ -1,8 +1,8 @@
-import { TranslationProxy, LanguageOption } from '../client.js';
+import { Translations, LanguageOption } from '../client.js';
 import type { Ref } from 'vue';
 
 export const traduxState: {
-    t: TranslationProxy;
+    t: Translations;
     currentLanguage: string;
     isReady: boolean;
 };
@@ -10,11 +10,14 @@ export const traduxState: {
 export function initVueTradux(): Promise<void>;
 export function setLanguage(language: string, serverContext?: any): Promise<boolean>;
 export function getAvailableLanguages(): LanguageOption[];
+export function loadNamespace(...namespaces: string[]): Promise<boolean>;
+export function useNamespace(...namespaces: string[]): Ref<boolean>;
 
 export function useTradux(): {
-    t: Ref<TranslationProxy>;
+    t: Ref<Translations>;
     currentLanguage: Ref<string>;
     isReady: Ref<boolean>;
     setLanguage: typeof setLanguage;
     getAvailableLanguages: typeof getAvailableLanguages;
+    loadNamespace: typeof loadNamespace;
 };
\ No newline at end of file
@@ -6,14 +6,17 @@
  *   - `initVueTradux()` in your app root (e.g. App.vue setup)
  *   - `useTradux()` composable in any component (auto-inits if needed)
  * Language changes propagate automatically via the traduxEvents system.
+ * `useNamespace()` fetches lazy namespaces (see preloadNamespaces).
  */
 
-import { reactive, onMounted, toRefs } from "vue";
+import { reactive, ref, onMounted, toRefs } from "vue";
 import {
   initTradux,
   setLanguage as coreSetLanguage,
   getAvailableLanguages,
+  loadNamespace,
   onLanguageChange,
+  onTranslationsLoad,
 } from "../client.js";
 
 // Shared reactive state — Vue's reactivity system tracks mutations automatically.
@@ -32,6 +35,7 @@ const updateState = async (lang = null) => {
 };
 
 onLanguageChange(updateState);
+onTranslationsLoad(() => updateState());
 
 /** Explicit init for use in the app root. Safe to call multiple times.
  *  Pass a language code (e.g. from a cookie) during SSR to pre-populate state. */
@@ -57,5 +61,15 @@ export function useTradux() {
     isReady,
     setLanguage: coreSetLanguage,
     getAvailableLanguages,
+    loadNamespace,
   };
 }
+
+/** Loads lazy namespaces (see preloadNamespaces). The ref turns true once they're available. */
+export function useNamespace(...namespaces) {
+  const isLoaded = ref(false);
+  loadNamespace(...namespaces).then((loaded) => {
+    isLoaded.value = loaded;
+  });
+  return isLoaded;
+}
@@ -0,0 +1,118 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const CLI = fileURLToPath(new URL("../src/index.js", import.meta.url));
+const root = fs.realpathSync(
+  fs.mkdtempSync(path.join(os.tmpdir(), "tradux-check-")),
+);
+
+const writeJson = (file, data) =>
+  fs.writeFileSync(path.join(root, file), JSON.stringify(data));
+
+const check = (...args) =>
+  spawnSync(process.execPath, [CLI, "check", ...args], {
+    cwd: root,
+    encoding: "utf8",
+    env: { ...process.env, FORCE_COLOR: "0" },
+    timeout: 30_000,
+  });
+
+before(() => {
+  fs.mkdirSync(path.join(root, "i18n"));
+  writeJson("tradux.config.json", {
+    i18nPath: "./i18n",
+    defaultLanguage: "en",
+    availableLanguages: ["en", "es", "fr"],
+  });
+  writeJson("i18n/en.json", {
+    title: "Home",
+    nav: { home: "Home", about: "About" },
+    tags: ["new"],
+    "brand===": "Tradux",
+  });
+  writeJson("i18n/es.json", {
+    title: "Inicio",
+    nav: { home: "Home", old: "Viejo" },
+    tags: "nuevo",
+    brand: "Tradux",
+  });
+});
+
+after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test("reports every kind of problem as JSON and exits with 1", () => {
+  const { status, stdout } = check("--format", "json");
+
+  assert.equal(status, 1);
+  const report = JSON.parse(stdout);
+  assert.equal(report.source, "en");
+  assert.equal(report.problems, 5);
+  assert.deepEqual(report.languages, [
+    {
+      lang: "es",
+      issues: [
+        { type: "missing", key: "nav.about" },
+        { type: "obsolete", key: "nav.old" },
+        {
+          type: "type",
+          key: "tags",
+          message: "expected array, found string",
+        },
+        { type: "untranslated", key: "nav.home" },
+      ],
+    },
+    {
+      lang: "fr",
+      issues: [
+        { type: "file", key: "fr.json", message: "not found or invalid" },
+      ],
+    },
+  ]);
+});
+
+test("writes a JUnit report with one failing case per problem", () => {
+  const { status, stdout } = check("--format", "junit");
+
+  assert.equal(status, 1);
+  assert.match(
+    stdout,
+    /^<\?xml version="1\.0" encoding="UTF-8"\?>\n<testsuites/,
+  );
+  assert.match(
+    stdout,
+    /<testsuite name="es" tests="4" failures="4">[\s\S]*name="nav\.about">\n\s*<failure type="missing" message="missing"\/>/,
+  );
+  assert.match(
+    stdout,
+    /<failure type="file" message="missing file: not found or invalid"\/>/,
+  );
+});
+
+test("prints a readable summary, and exits with 0 once complete", () => {
+  const failing = check();
+  assert.equal(failing.status, 1);
+  assert.match(failing.stdout, /✗ es — 4 problems/);
+  assert.match(failing.stdout, /obsolete\s+nav\.old/);
+  assert.match(failing.stdout, /5 problems found in 2 language\(s\)\./);
+
+  writeJson("i18n/es.json", {
+    title: "Inicio",
+    nav: { home: "Página", about: "Acerca de" },
+    tags: ["nuevo"],
+    brand: "Tradux",
+  });
+  writeJson("i18n/fr.json", {
+    title: "Accueil",
+    nav: { home: "Accueil", about: "À propos" },
+    tags: ["nouveau"],
+    brand: "Tradux",
+  });
+  const passing = check();
+  assert.equal(passing.status, 0);
+  assert.match(passing.stdout, /All translations are complete\./);
+});
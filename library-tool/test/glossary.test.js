@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findGlossaryViolations,
+  selectGlossary,
+} from "../src/core/glossary.js";
+
+const glossary = {
+  doNotTranslate: ["Tradux"],
+  terms: { checkout: { es: "pago" } },
+};
+
+test("matches do-not-translate terms as written", () => {
+  assert.equal(
+    selectGlossary(glossary, "es", { a: "tradux is a verb" }),
+    undefined,
+  );
+  assert.deepEqual(selectGlossary(glossary, "es", { a: "Try Tradux" }), {
+    doNotTranslate: ["Tradux"],
+    terms: {},
+  });
+
+  const source = { intro: "Try Tradux", verb: "tradux it" };
+  assert.deepEqual(
+    findGlossaryViolations(glossary, "es", source, {
+      intro: "Prueba tradux",
+      verb: "tradúcelo",
+    }),
+    [
+      {
+        key: "intro",
+        path: ["intro"],
+        reason: '"Tradux" must not be translated',
+      },
+    ],
+  );
+});
+
+test("matches glossary terms in any case", () => {
+  const violations = findGlossaryViolations(
+    glossary,
+    "es",
+    { "cart.title": { cta: "Checkout" } },
+    { "cart.title": { cta: "Finalizar compra" } },
+  );
+
+  assert.deepEqual(violations, [
+    {
+      key: "cart.title.cta",
+      path: ["cart.title", "cta"],
+      reason: '"checkout" should be "pago"',
+    },
+  ]);
+  assert.deepEqual(
+    findGlossaryViolations(
+      glossary,
+      "es",
+      { cta: "Checkout" },
+      { cta: "Ir al Pago" },
+    ),
+    [],
+  );
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileManager } from "../src/core/file-manager.js";
+import {
+  buildKeyTypes,
+  getKeyTypesPath,
+  refreshKeyTypes,
+} from "../src/core/key-types.js";
+
+test("writes the declarations to the path set in tradux.config.json", async (t) => {
+  const root = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "tradux-types-")),
+  );
+  const cwd = process.cwd();
+  t.after(() => {
+    process.chdir(cwd);
+    fileManager.clearCache();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  fs.writeFileSync(
+    path.join(root, "tradux.config.json"),
+    JSON.stringify({
+      i18nPath: "./i18n",
+      defaultLanguage: "en",
+      types: "types/keys.d.ts",
+    }),
+  );
+  process.chdir(root);
+  fileManager.clearCache();
+
+  const config = await fileManager.loadConfig();
+  const expected = path.join(root, "types", "keys.d.ts");
+  assert.equal(getKeyTypesPath(config, root), expected);
+
+  await refreshKeyTypes(config, { nav: { home: "Home" } });
+  assert.match(fs.readFileSync(expected, "utf8"), /home: string;/);
+});
+
+test("types messages with their argument shape, legacy placeholders included", () => {
+  const types = buildKeyTypes(
+    {
+      title: "Home",
+      hello: "Hello, {{name}}!",
+      items: "{count, plural, one {# item} other {# items}}",
+      due: "Due {day, date, short} for {user}",
+    },
+    "i18n/en.json",
+  );
+
+  assert.match(types, /title: string;/);
+  assert.match(types, /hello: Message<\{ name: string \| number \}>;/);
+  assert.match(types, /items: Message<\{ count: number \}>;/);
+  assert.match(
+    types,
+    /due: Message<\{ day: Date \| number; user: string \| number \}>;/,
+  );
+});
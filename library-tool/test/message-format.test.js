@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createMessage,
+  formatMessage,
+  getMessageArguments,
+  parseMessage,
+} from "../src/utils/message-format.js";
+
+test("parses arguments, plurals and legacy placeholders", () => {
+  assert.deepEqual(parseMessage("Hi {name}, {{user}}"), [
+    "Hi ",
+    { type: "argument", name: "name" },
+    ", ",
+    { type: "argument", name: "user", legacy: true },
+  ]);
+  assert.deepEqual(
+    getMessageArguments(
+      "{n, plural, one {# {kind, select, a {A} other {B}}} other {{when, date}}}",
+    ),
+    [
+      { name: "n", type: "plural" },
+      { name: "kind", type: "select" },
+      { name: "when", type: "date" },
+    ],
+  );
+  assert.throws(() => parseMessage("Hi {name"), /Invalid message syntax/);
+  assert.throws(() => parseMessage("Hi }"), /unexpected "}"/);
+});
+
+test("formats plural, offset and #", () => {
+  const message = "{count, plural, =0 {No items} one {# item} other {# items}}";
+  assert.equal(formatMessage(message, { count: 0 }), "No items");
+  assert.equal(formatMessage(message, { count: 1 }), "1 item");
+  assert.equal(formatMessage(message, { count: 1234 }), "1,234 items");
+  assert.equal(
+    formatMessage(
+      "{guests, plural, offset:1 =0 {Nobody} =1 {{host}} one {{host} and # other} other {{host} and # others}}",
+      { guests: 3, host: "Ana" },
+    ),
+    "Ana and 2 others",
+  );
+  assert.equal(
+    formatMessage(
+      "{n, plural, one {# jablko} few {# jablka} other {# jabłek}}",
+      {
+        n: 3,
+      },
+      "pl",
+    ),
+    "3 jablka",
+  );
+});
+
+test("formats select and selectordinal", () => {
+  const invite = "{gender, select, female {She} male {He} other {They}} called";
+  assert.equal(formatMessage(invite, { gender: "female" }), "She called");
+  assert.equal(formatMessage(invite, { gender: "x" }), "They called");
+
+  const place =
+    "{rank, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}";
+  assert.deepEqual(
+    [1, 2, 3, 4, 11, 22].map((rank) => formatMessage(place, { rank })),
+    ["1st", "2nd", "3rd", "4th", "11th", "22nd"],
+  );
+});
+
+test("treats apostrophes as ICU escapes", () => {
+  assert.equal(formatMessage("It''s {name}", { name: "Ana" }), "It's Ana");
+  assert.equal(
+    formatMessage("Use '{name}' here", { name: "Ana" }),
+    "Use {name} here",
+  );
+  assert.equal(formatMessage("don't {x}", { x: "stop" }), "don't stop");
+  assert.equal(
+    formatMessage("{n, plural, other {# '#' tags}}", { n: 2 }),
+    "2 # tags",
+  );
+});
+
+test("formats numbers and dates with Intl", () => {
+  assert.equal(formatMessage("{n, number}", { n: 1234.5 }, "de"), "1.234,5");
+  assert.equal(formatMessage("{n, number, percent}", { n: 0.25 }), "25%");
+  assert.equal(
+    formatMessage("{n, number, ::currency/EUR}", { n: 5 }, "en"),
+    "€5.00",
+  );
+  const day = new Date(Date.UTC(2026, 0, 15, 12));
+  assert.equal(
+    formatMessage("{day, date, long}", { day }, "en"),
+    new Intl.DateTimeFormat("en", { dateStyle: "long" }).format(day),
+  );
+});
+
+test("keeps missing values and invalid messages as written", () => {
+  assert.equal(formatMessage("Hi {name} {{user}}"), "Hi {name} {{user}}");
+  assert.equal(formatMessage("Hi {name", { name: "Ana" }), "Hi {name");
+});
+
+test("makes legacy {{name}} strings callable like {name}", () => {
+  const hello = createMessage("Hello, {{name}}!", "en");
+
+  assert.equal(typeof hello, "function");
+  assert.equal(hello({ name: "Ana" }), "Hello, Ana!");
+  assert.equal(`${hello}`, "Hello, {{name}}!");
+  assert.equal(hello.replace("{{name}}", "Ana"), "Hello, Ana!");
+  assert.equal(JSON.stringify({ hello }), '{"hello":"Hello, {{name}}!"}');
+  assert.equal(createMessage("It''s done", "en"), "It's done");
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createPool, mapSettled, withRetry } from "../src/utils/pool.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("runs at most `limit` tasks at once and keeps input order", async () => {
+  let active = 0;
+  let peak = 0;
+  const outcomes = await mapSettled([30, 10, 20, 5, 0], 2, async (ms, i) => {
+    active++;
+    peak = Math.max(peak, active);
+    await sleep(ms);
+    active--;
+    if (i === 3) throw new Error("boom");
+    return i;
+  });
+
+  assert.equal(peak, 2);
+  assert.deepEqual(
+    outcomes.map((outcome) => outcome.value ?? outcome.reason.message),
+    [0, 1, 2, "boom", 4],
+  );
+});
+
+test("backoff pauses new tasks and lowers the limit, never below 1", async () => {
+  const pool = createPool(3);
+  pool.backoff(50);
+  pool.backoff(0);
+  pool.backoff(0);
+  assert.equal(pool.limit, 1);
+
+  const start = Date.now();
+  await pool.run(async () => {});
+  assert.ok(Date.now() - start >= 45);
+  assert.equal(createPool(0).limit, 1);
+});
+
+test("retries with exponential backoff while the error is retryable", async () => {
+  const delays = [];
+  let calls = 0;
+  const result = await withRetry(
+    async () => {
+      if (++calls < 3) throw new Error("429 rate limit");
+      return "ok";
+    },
+    {
+      baseDelay: 1,
+      isRetryable: (error) => /429/.test(error.message),
+      onRetry: (delay, attempt) => delays.push([delay, attempt]),
+    },
+  );
+
+  assert.equal(result, "ok");
+  assert.deepEqual(delays, [
+    [1, 1],
+    [2, 2],
+  ]);
+});
+
+test("gives up after `retries` or on errors that aren't retryable", async () => {
+  let calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls++;
+        throw new Error("429");
+      },
+      { retries: 2, baseDelay: 1 },
+    ),
+    /429/,
+  );
+  assert.equal(calls, 3);
+
+  calls = 0;
+  await assert.rejects(
+    withRetry(
+      async () => {
+        calls++;
+        throw new Error("invalid key");
+      },
+      { baseDelay: 1, isRetryable: () => false },
+    ),
+    /invalid key/,
+  );
+  assert.equal(calls, 1);
+});
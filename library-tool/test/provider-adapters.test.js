@@ -0,0 +1,260 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildResponseSchema,
+  extractJSON,
+  parseTranslation,
+  repairJSON,
+  salvageTruncated,
+  stripReasoning,
+  toGeminiSchema,
+  translateObject,
+} from "../src/proxy/provider-adapters.js";
+
+test("strips reasoning blocks before the reply", () => {
+  assert.equal(stripReasoning('<think>{"a": 1}</think>{"a": 2}'), '{"a": 2}');
+  assert.equal(
+    stripReasoning('planning...</thinking>\n{"a": 2}'),
+    '\n{"a": 2}',
+  );
+});
+
+test("extracts the outermost object from prose and fences", () => {
+  assert.equal(
+    extractJSON('Sure! {"a": "}", "b": {"c": 1}} Hope it helps'),
+    '{"a": "}", "b": {"c": 1}}',
+  );
+  assert.equal(extractJSON('```json\n{"a": 1}\n```'), '{"a": 1}');
+  assert.equal(extractJSON('```json\n{"a": {"b": 1'), '{"a": {"b": 1');
+});
+
+test("repairs single quotes, unquoted keys, trailing commas and comments", () => {
+  const repaired = repairJSON(
+    "{'title': 'L\\'app \"Tradux\"', nav: {home: 'Home',}, // done\n}",
+  );
+  assert.deepEqual(JSON.parse(repaired), {
+    title: 'L\'app "Tradux"',
+    nav: { home: "Home" },
+  });
+});
+
+test("keeps the complete keys of a cut-off object", () => {
+  assert.deepEqual(salvageTruncated('{"a": "A", "nav": {"b": "B", "c": "C'), {
+    a: "A",
+    nav: { b: "B" },
+  });
+  assert.deepEqual(salvageTruncated('{"a": "A", "list": ["x", "y'), {
+    a: "A",
+  });
+  assert.equal(salvageTruncated('{"a": "Hal'), null);
+});
+
+test("parses replies that need several repairs", () => {
+  assert.deepEqual(
+    parseTranslation("<think>hmm</think>```json\n{'a': 'A', 'b': 'B',\n"),
+    { a: "A", b: "B" },
+  );
+  assert.throws(
+    () => parseTranslation('{"a": "Hal', false, true),
+    /cut off at the token limit/,
+  );
+});
+
+test("reports keys missing from a tool call cut off at the token limit", async (t) => {
+  t.mock.method(globalThis, "fetch", async () =>
+    Response.json({
+      stop_reason: "max_tokens",
+      content: [
+        {
+          type: "tool_use",
+          name: "submit_translation",
+          input: { hello: "Hola", nav: { home: "Inicio", bye: "Adi" } },
+        },
+      ],
+    }),
+  );
+
+  const { translatedData, missingKeys } = await translateObject(
+    { hello: "Hello", nav: { home: "Home", bye: "Goodbye" } },
+    "en",
+    "es",
+    { provider: "anthropic", apiKey: "key" },
+  );
+  assert.deepEqual(translatedData, { hello: "Hola", nav: { home: "Inicio" } });
+  assert.deepEqual(missingKeys, [["nav", "bye"]]);
+});
+
+const payload = {
+  title: "Hi",
+  nav: { home: "Home", empty: {} },
+  tags: ["a", "b"],
+  mixed: ["a", { label: "b" }],
+  note: null,
+};
+
+test("builds a strict JSON schema with the payload's shape", () => {
+  assert.deepEqual(buildResponseSchema(payload), {
+    type: "object",
+    properties: {
+      title: { type: "string" },
+      nav: {
+        type: "object",
+        properties: {
+          home: { type: "string" },
+          empty: {
+            type: "object",
+            properties: {},
+            required: [],
+            additionalProperties: false,
+          },
+        },
+        required: ["home", "empty"],
+        additionalProperties: false,
+      },
+      tags: { type: "array", items: { type: "string" } },
+      mixed: {
+        type: "array",
+        items: {
+          anyOf: [
+            { type: "string" },
+            {
+              type: "object",
+              properties: { label: { type: "string" } },
+              required: ["label"],
+              additionalProperties: false,
+            },
+          ],
+        },
+      },
+      note: { type: "null" },
+    },
+    required: ["title", "nav", "tags", "mixed", "note"],
+    additionalProperties: false,
+  });
+  assert.deepEqual(buildResponseSchema([]), {
+    type: "array",
+    items: { type: "string" },
+  });
+});
+
+test("leaves null and empty-object shapes out of the Gemini schema", () => {
+  assert.deepEqual(toGeminiSchema(buildResponseSchema(payload)), {
+    type: "OBJECT",
+    properties: {
+      title: { type: "STRING" },
+      nav: {
+        type: "OBJECT",
+        properties: { home: { type: "STRING" } },
+        required: ["home"],
+        propertyOrdering: ["home"],
+      },
+      tags: { type: "ARRAY", items: { type: "STRING" } },
+      mixed: {
+        type: "ARRAY",
+        items: {
+          anyOf: [
+            { type: "STRING" },
+            {
+              type: "OBJECT",
+              properties: { label: { type: "STRING" } },
+              required: ["label"],
+              propertyOrdering: ["label"],
+            },
+          ],
+        },
+      },
+    },
+    required: ["title", "nav", "tags", "mixed"],
+    propertyOrdering: ["title", "nav", "tags", "mixed"],
+  });
+  assert.deepEqual(
+    toGeminiSchema(buildResponseSchema({ list: [null, "a"] })).properties.list,
+    { type: "ARRAY", items: { type: "STRING", nullable: true } },
+  );
+  assert.equal(toGeminiSchema(buildResponseSchema({ a: null, b: {} })), null);
+});
+
+/** Mocks fetch with `replies` (in order) and collects the request bodies. */
+function mockFetch(t, replies) {
+  const bodies = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    return replies[bodies.length - 1];
+  });
+  return bodies;
+}
+
+const data = { hello: "Hello" };
+const openAIReply = () =>
+  Response.json({ choices: [{ message: { content: '{"hello": "Hola"}' } }] });
+
+test("sends the schema the way each provider expects it", async (t) => {
+  const schema = buildResponseSchema(data);
+  const bodies = mockFetch(t, [
+    openAIReply(),
+    Response.json({
+      content: [
+        {
+          type: "tool_use",
+          name: "submit_translation",
+          input: { hello: "Hola" },
+        },
+      ],
+    }),
+    Response.json({
+      candidates: [{ content: { parts: [{ text: '{"hello": "Hola"}' }] } }],
+    }),
+  ]);
+
+  for (const provider of ["openai", "anthropic", "google"]) {
+    const { translatedData } = await translateObject(data, "en", "es", {
+      provider,
+      apiKey: "key",
+    });
+    assert.deepEqual(translatedData, { hello: "Hola" });
+  }
+
+  const [openAI, anthropic, google] = bodies;
+  assert.deepEqual(openAI.response_format.json_schema.schema, schema);
+  assert.equal(openAI.response_format.json_schema.strict, true);
+  assert.deepEqual(anthropic.tools[0].input_schema, schema);
+  assert.deepEqual(anthropic.tool_choice, {
+    type: "tool",
+    name: "submit_translation",
+  });
+  assert.deepEqual(
+    google.generationConfig.responseSchema,
+    toGeminiSchema(schema),
+  );
+});
+
+test("retries without the schema when the endpoint rejects it", async (t) => {
+  const bodies = mockFetch(t, [
+    Response.json(
+      { error: { message: "Unknown parameter: response_format" } },
+      { status: 400 },
+    ),
+    openAIReply(),
+  ]);
+
+  const { translatedData } = await translateObject(data, "en", "es", {
+    provider: "openai",
+    apiKey: "key",
+  });
+  assert.deepEqual(translatedData, { hello: "Hola" });
+  assert.equal(bodies.length, 2);
+  assert.ok(bodies[0].response_format);
+  assert.equal(bodies[1].response_format, undefined);
+});
+
+test("doesn't retry errors that aren't about the schema", async (t) => {
+  const bodies = mockFetch(t, [
+    Response.json({ error: { message: "Invalid API key" } }, { status: 422 }),
+  ]);
+
+  await assert.rejects(
+    translateObject(data, "en", "es", { provider: "openai", apiKey: "key" }),
+    /Invalid API key/,
+  );
+  assert.equal(bodies.length, 1);
+});
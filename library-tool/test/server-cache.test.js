@@ -0,0 +1,88 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getServerCacheStats, initTradux } from "../src/client.js";
+
+const cwd = process.cwd();
+const nodeEnv = process.env.NODE_ENV;
+const root = fs.realpathSync(
+  fs.mkdtempSync(path.join(os.tmpdir(), "tradux-cache-")),
+);
+const i18nDir = path.join(root, "i18n");
+
+before(() => {
+  fs.mkdirSync(i18nDir);
+  fs.writeFileSync(
+    path.join(i18nDir, "en.json"),
+    JSON.stringify({ hello: "Hello" }),
+  );
+  fs.writeFileSync(
+    path.join(root, "tradux.config.json"),
+    JSON.stringify({
+      i18nPath: "./i18n",
+      defaultLanguage: "en",
+      availableLanguages: ["en", "es", "fr"],
+    }),
+  );
+  process.chdir(root);
+});
+
+after(() => {
+  process.chdir(cwd);
+  process.env.NODE_ENV = nodeEnv;
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+/** Loads `lang` and returns how the server cache changed meanwhile. */
+async function load(lang) {
+  const before = getServerCacheStats();
+  const { t } = await initTradux(lang);
+  const after = getServerCacheStats();
+  return {
+    hello: String(t.hello),
+    misses: after.misses - before.misses,
+    missingHits: after.missingHits - before.missingHits,
+  };
+}
+
+test("remembers missing files until their directory changes (mtime)", async () => {
+  process.env.NODE_ENV = "production";
+
+  assert.equal((await load("es")).missingHits, 0);
+  assert.deepEqual(await load("es"), {
+    hello: "Hello",
+    misses: 0,
+    missingHits: 1,
+  });
+  assert.equal(getServerCacheStats().missingEntries, 1);
+
+  fs.writeFileSync(
+    path.join(i18nDir, "es.json"),
+    JSON.stringify({ hello: "Hola" }),
+  );
+  assert.deepEqual(await load("es"), {
+    hello: "Hola",
+    misses: 1,
+    missingHits: 0,
+  });
+  assert.equal((await load("es")).misses, 0);
+  assert.equal(getServerCacheStats().missingEntries, 0);
+});
+
+test("forgets missing files when a watched directory changes", async () => {
+  process.env.NODE_ENV = "development";
+
+  await load("fr");
+  assert.equal((await load("fr")).missingHits, 1);
+
+  fs.writeFileSync(
+    path.join(i18nDir, "fr.json"),
+    JSON.stringify({ hello: "Bonjour" }),
+  );
+  for (let i = 0; i < 50 && getServerCacheStats().missingEntries > 0; i++) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.equal((await load("fr")).hello, "Bonjour");
+});
@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getTraduxConfig } from "../src/client.js";
+import { createTraduxFromRequest } from "../src/server/index.js";
+
+const cwd = process.cwd();
+const root = fs.realpathSync(
+  fs.mkdtempSync(path.join(os.tmpdir(), "tradux-server-")),
+);
+
+before(() => {
+  fs.mkdirSync(path.join(root, "i18n"));
+  for (const lang of ["en", "es", "fr"]) {
+    fs.writeFileSync(
+      path.join(root, "i18n", `${lang}.json`),
+      JSON.stringify({ hello: lang }),
+    );
+  }
+  fs.writeFileSync(
+    path.join(root, "tradux.config.json"),
+    JSON.stringify({
+      i18nPath: "./i18n",
+      defaultLanguage: "en",
+      availableLanguages: ["en", "es", "fr"],
+    }),
+  );
+  process.chdir(root);
+});
+
+after(() => {
+  process.chdir(cwd);
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+const detect = async (url, headers = {}, options) => {
+  const { currentLanguage, source } = await createTraduxFromRequest(
+    new Request(`http://localhost${url}`, { headers }),
+    options,
+  );
+  return [currentLanguage, source];
+};
+
+test("ignores path prefixes unless routing is set", async () => {
+  assert.deepEqual(await detect("/es/about"), ["en", "default"]);
+  assert.deepEqual(await detect("/es/about", { cookie: "tradux_lang=fr" }), [
+    "fr",
+    "cookie",
+  ]);
+  assert.deepEqual(await detect("/es/about", {}, { pathPrefix: true }), [
+    "es",
+    "path",
+  ]);
+});
+
+test("falls back to the cookie and Accept-Language on unprefixed URLs", async (t) => {
+  const config = await getTraduxConfig();
+  config.routing = "prefix";
+  t.after(() => delete config.routing);
+
+  assert.deepEqual(await detect("/es/about", { cookie: "tradux_lang=fr" }), [
+    "es",
+    "path",
+  ]);
+  assert.deepEqual(await detect("/about", { cookie: "tradux_lang=fr" }), [
+    "fr",
+    "cookie",
+  ]);
+  assert.deepEqual(await detect("/about", { "accept-language": "es-MX" }), [
+    "es",
+    "header",
+  ]);
+  assert.deepEqual(await detect("/about"), ["en", "default"]);
+  assert.deepEqual(await detect("/es/about?lang=fr"), ["fr", "query"]);
+});
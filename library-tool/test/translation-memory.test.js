@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileManager } from "../src/core/file-manager.js";
+import {
+  MEMORY_FILENAME,
+  applyMemory,
+  readMemoryFile,
+  recordMemory,
+  saveMemory,
+} from "../src/core/translation-memory.js";
+import { runTmExport, runTmImport } from "../src/commands/tm.js";
+
+const emptyMemory = () => ({ version: 1, entries: {} });
+
+test("answers strings it has seen, under any key", () => {
+  const memory = emptyMemory();
+  recordMemory(memory, "en", "es", { save: "Save" }, { save: "Guardar" });
+
+  const { hits, misses, hitCount } = applyMemory(memory, "en", "es", {
+    toolbar: { store: "Save", open: "Open" },
+    buttons: ["Save", "Open"],
+  });
+
+  assert.deepEqual(hits, { toolbar: { store: "Guardar" } });
+  assert.deepEqual(misses, {
+    toolbar: { open: "Open" },
+    buttons: ["Save", "Open"],
+  });
+  assert.equal(hitCount, 1);
+  assert.equal(applyMemory(memory, "en", "fr", { save: "Save" }).hitCount, 0);
+});
+
+test("keeps translations with a context note apart", () => {
+  const memory = emptyMemory();
+  const contexts = { "menu.open": "menu item" };
+  recordMemory(
+    memory,
+    "en",
+    "es",
+    { menu: { open: "Open" }, status: "Open" },
+    { menu: { open: "Abrir" }, status: "Abierto" },
+    { contexts },
+  );
+
+  const { hits } = applyMemory(
+    memory,
+    "en",
+    "es",
+    { menu: { open: "Open" }, status: "Open" },
+    { contexts },
+  );
+  assert.deepEqual(hits, { menu: { open: "Abrir" }, status: "Abierto" });
+  assert.deepEqual(
+    applyMemory(memory, "en", "es", { status: "Open" }, { skip: ["status"] })
+      .hits,
+    {},
+  );
+});
+
+test("exports the project memory and merges imports into it", async (t) => {
+  const root = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), "tradux-tm-")),
+  );
+  const cwd = process.cwd();
+  t.after(() => {
+    process.chdir(cwd);
+    fileManager.clearCache();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  fs.mkdirSync(path.join(root, "i18n"));
+  fs.writeFileSync(path.join(root, "i18n", "en.json"), "{}");
+  fs.writeFileSync(
+    path.join(root, "tradux.config.json"),
+    JSON.stringify({ i18nPath: "./i18n", defaultLanguage: "en" }),
+  );
+  process.chdir(root);
+  fileManager.clearCache();
+
+  await saveMemory({
+    version: 1,
+    entries: { en: { es: { Save: "Guardar", Open: "Abrir" } } },
+  });
+  assert.ok(fs.existsSync(path.join(root, MEMORY_FILENAME)));
+  assert.ok(!fs.existsSync(path.join(root, "i18n", MEMORY_FILENAME)));
+
+  const exported = path.join(root, "exported.json");
+  await runTmExport(exported);
+  assert.deepEqual((await readMemoryFile(exported)).entries, {
+    en: { es: { Save: "Guardar", Open: "Abrir" } },
+  });
+
+  fs.writeFileSync(
+    exported,
+    JSON.stringify({
+      version: 1,
+      entries: { en: { es: { Open: "Abre", Close: "Cerrar" }, fr: {} } },
+    }),
+  );
+  await runTmImport(exported);
+  const merged = await readMemoryFile(path.join(root, MEMORY_FILENAME));
+  assert.deepEqual(merged.entries.en.es, {
+    Save: "Guardar",
+    Open: "Abre",
+    Close: "Cerrar",
+  });
+});
@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  chunkPayload,
+  findObsoleteContent,
+  mergeChunks,
+  pickPaths,
+  removeObsoleteKeys,
+} from "../src/core/translator.js";
+import { findIntegrityIssues } from "../src/core/validator.js";
+
+test("leaves other levels alone when a key path doesn't exist", () => {
+  const data = { title: "Home", nav: { home: "Home" } };
+
+  assert.deepEqual(removeObsoleteKeys(data, [["a", "b", "title"]]), data);
+  assert.deepEqual(removeObsoleteKeys(data, [["nav", "home", "title"]]), data);
+  assert.deepEqual(pickPaths(data, [["a", "b", "title"]]), {});
+});
+
+test("keeps keys that contain dots whole", () => {
+  const data = { "v1.2": { notes: "Notes" }, v1: { 2: { notes: "Other" } } };
+
+  assert.deepEqual(removeObsoleteKeys(data, [["v1.2", "notes"]]), {
+    "v1.2": {},
+    v1: { 2: { notes: "Other" } },
+  });
+  assert.deepEqual(pickPaths(data, [["v1.2", "notes"]]), {
+    "v1.2": { notes: "Notes" },
+  });
+  assert.deepEqual(
+    findObsoleteContent({ "v1.2": {} }, { "v1.2": { notes: "Notes" } }),
+    [["v1.2", "notes"]],
+  );
+});
+
+test("reports integrity issues with their key path", () => {
+  const [issue] = findIntegrityIssues(
+    { "errors.404": "Not {page}" },
+    { "errors.404": "Pas" },
+  );
+
+  assert.equal(issue.key, "errors.404");
+  assert.deepEqual(issue.path, ["errors.404"]);
+});
+
+const longText = (words) => Array(words).fill("word").join(" ");
+
+test("splits a payload by subtree within the token budget", () => {
+  const payload = {
+    title: "Home",
+    nav: { home: "Home", about: "About" },
+    checkout: {
+      step1: { intro: longText(30), note: "Pay" },
+      step2: { intro: longText(30) },
+    },
+    faq: [longText(40), longText(40)],
+  };
+
+  const chunks = chunkPayload(payload, 60);
+  assert.deepEqual(chunks, [
+    { title: "Home", nav: { home: "Home", about: "About" } },
+    { checkout: { step1: payload.checkout.step1 } },
+    { checkout: { step2: payload.checkout.step2 } },
+    { faq: payload.faq },
+  ]);
+  assert.deepEqual(chunkPayload(payload, 10_000), [payload]);
+  assert.deepEqual(mergeChunks([...chunks].reverse()), payload);
+});
@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkLeaf } from "../src/core/validator.js";
+
+test("keeps placeholders, tags and links intact", () => {
+  assert.deepEqual(checkLeaf("Hello <b>{name}</b>", "Olá <b>{name}</b>"), []);
+  assert.deepEqual(checkLeaf("Hello {name}", "Olá"), [
+    "missing placeholder {name}",
+  ]);
+});
+
+test("flags an apostrophe that escapes a placeholder", () => {
+  assert.deepEqual(checkLeaf("Open {app}", "Ouvrir L''{app}"), []);
+  assert.deepEqual(checkLeaf("Open {app}", "Ouvrir L'{app}"), [
+    "apostrophe escapes {app} (write '' instead)",
+  ]);
+});
+
+test("notices a dropped placeholder after an apostrophe in the source", () => {
+  assert.deepEqual(checkLeaf("L'{app} est prête", "L'{app} is ready"), []);
+  assert.deepEqual(checkLeaf("L'{app} est prête", "The app is ready"), [
+    "missing placeholder {app}",
+  ]);
+});
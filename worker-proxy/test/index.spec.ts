@@ -1,41 +1,97 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
-import { describe, it, expect } from 'vitest';
+import { afterEach, describe, it, expect, vi } from 'vitest';
 import worker from '../src';
 
-describe('Hello World user worker', () => {
-	describe('request for /message', () => {
-		it('/ responds with "Hello, World!" (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/message');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
+const ENDPOINT = 'http://example.com/api/translate-json';
+
+const call = (request: Request) => worker.fetch(request);
+
+const post = (body: unknown) =>
+	call(
+		new Request(ENDPOINT, {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(body),
+		}),
+	);
+
+/** An OpenAI-style chat completion whose message is `content`. */
+const completion = (content: string, finishReason = 'stop') =>
+	new Response(JSON.stringify({ choices: [{ message: { content }, finish_reason: finishReason }] }), {
+		headers: { 'Content-Type': 'application/json' },
+	});
+
+afterEach(() => {
+	vi.restoreAllMocks();
+});
+
+describe('translation proxy worker', () => {
+	it('answers CORS preflight requests', async () => {
+		const response = await call(new Request(ENDPOINT, { method: 'OPTIONS' }));
+		expect(response.status).toBe(200);
+		expect(response.headers.get('Access-Control-Allow-Origin')).toBe('*');
+	});
+
+	it('describes the API on other /api/ paths', async () => {
+		const response = await call(new Request('http://example.com/api/'));
+		const body = await response.json<{ endpoints: string[] }>();
+		expect(body.endpoints).toEqual(['/api/translate-json']);
+	});
+
+	it('returns 404 outside /api/', async () => {
+		const response = await call(new Request('http://example.com/'));
+		expect(response.status).toBe(404);
+	});
+
+	it('only accepts POST on the translation endpoint', async () => {
+		const response = await call(new Request(ENDPOINT));
+		expect(response.status).toBe(405);
+	});
+
+	it('rejects requests without data or credentials', async () => {
+		const noData = await post({ targetLanguage: 'es', provider: 'openai', apiKey: 'key' });
+		expect(noData.status).toBe(400);
+
+		const noKey = await post({ data: { hello: 'Hello' }, targetLanguage: 'es', provider: 'openai' });
+		expect(noKey.status).toBe(400);
+		expect(await noKey.json()).toMatchObject({ success: false, error: expect.stringContaining('apiKey') });
+	});
+
+	it('translates through the provider', async () => {
+		const fetchSpy = vi.spyOn(globalThis, 'fetch').mockResolvedValue(completion('{"hello":"Hola"}'));
+
+		const response = await post({
+			data: { hello: 'Hello' },
+			targetLanguage: 'es',
+			provider: 'openai',
+			model: 'gpt-4o-mini',
+			apiKey: 'key',
 		});
 
-		it('responds with "Hello, World!" (integration style)', async () => {
-			const request = new Request('http://example.com/message');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatchInlineSnapshot(`"Hello, World!"`);
+		expect(await response.json()).toEqual({
+			success: true,
+			translatedData: { hello: 'Hola' },
+			originalLanguage: 'en',
+			targetLanguage: 'es',
 		});
+		const [url, init] = fetchSpy.mock.calls[0];
+		expect(url).toBe('https://api.openai.com/v1/chat/completions');
+		expect(JSON.parse(String(init?.body)).model).toBe('gpt-4o-mini');
 	});
 
-	describe('request for /random', () => {
-		it('/ responds with a random UUID (unit style)', async () => {
-			const request = new Request<unknown, IncomingRequestCfProperties>('http://example.com/random');
-			// Create an empty context to pass to `worker.fetch()`.
-			const ctx = createExecutionContext();
-			const response = await worker.fetch(request, env, ctx);
-			// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-			await waitOnExecutionContext(ctx);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+	it('reports the keys a truncated reply left out', async () => {
+		vi.spyOn(globalThis, 'fetch').mockResolvedValue(completion('{"hello":"Hola","bye":"Ad', 'length'));
+
+		const response = await post({
+			data: { hello: 'Hello', bye: 'Bye' },
+			targetLanguage: 'es',
+			provider: 'openai',
+			apiKey: 'key',
 		});
 
-		it('responds with a random UUID (integration style)', async () => {
-			const request = new Request('http://example.com/random');
-			const response = await SELF.fetch(request);
-			expect(await response.text()).toMatch(/[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/);
+		expect(await response.json()).toMatchObject({
+			success: true,
+			translatedData: { hello: 'Hola' },
+			missingKeys: [['bye']],
 		});
 	});
 });
@@ -1,11 +1,23 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { fileURLToPath } from 'node:url';
+import { cloudflareTest } from '@cloudflare/vitest-pool-workers';
+import { defineConfig } from 'vitest/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
+export default defineConfig({
+	plugins: [
+		// The handler doesn't use the static assets, so the tests run the Worker
+		// without them (public/ is not part of the repository)
+		cloudflareTest({
+			main: './src/index.js',
+			miniflare: {
+				compatibilityDate: '2025-09-02',
+				compatibilityFlags: ['global_fetch_strictly_public'],
 			},
+		}),
+	],
+	resolve: {
+		alias: {
+			// pnpm installs file: dependencies as a copy; test the handler in this checkout
+			'tradux/proxy': fileURLToPath(new URL('../library-tool/src/proxy/proxy-handler.js', import.meta.url)),
 		},
 	},
 });